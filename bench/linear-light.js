@@ -0,0 +1,116 @@
+/**
+ * Linear-light regression check - sRGB vs. linear-light error diffusion
+ * A dithered area should average (in linear light, as the eye sees it from afar)
+ * to the source brightness; sRGB diffusion lands too dark in the midtones
+ * Runs in the browser (bench/linear-light.html) or Node: node bench/linear-light.js
+ * Exits with code 1 in Node when linear light is not closer to the source
+ */
+
+import { ColorUtils } from '../js/core/ColorUtils.js';
+import { DiffusionKernels } from '../js/core/DiffusionKernels.js';
+import { DitheringEngine } from '../js/core/DitheringEngine.js';
+
+const RAMP_WIDTH = 512;
+const RAMP_HEIGHT = 64;
+
+// Averaging window - roughly what blurs together at viewing distance
+const BLOCK = 16;
+
+const KERNELS = ['floyd-steinberg', 'atkinson', 'jarvis-judice-ninke', 'sierra-lite'];
+
+const PALETTES = {
+    '1-bit': [[0, 0, 0], [255, 255, 255]],
+    '4 gray': [[0, 0, 0], [85, 85, 85], [170, 170, 170], [255, 255, 255]],
+    'CGA 1': [[0, 0, 0], [85, 255, 255], [255, 85, 255], [255, 255, 255]]
+};
+
+/**
+ * Fixed test image: gray ramp from black to white, identical on every run
+ */
+function createRamp() {
+    const data = new Uint8ClampedArray(RAMP_WIDTH * RAMP_HEIGHT * 4);
+    for (let y = 0; y < RAMP_HEIGHT; y++) {
+        for (let x = 0; x < RAMP_WIDTH; x++) {
+            const i = (y * RAMP_WIDTH + x) * 4;
+            const value = Math.round(x / (RAMP_WIDTH - 1) * 255);
+            data[i] = data[i + 1] = data[i + 2] = value;
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width: RAMP_WIDTH, height: RAMP_HEIGHT };
+}
+
+/**
+ * Mean linear-light luminance of each BLOCK×BLOCK tile
+ */
+function blockLuminance(image) {
+    const { data, width, height } = image;
+    const blocks = [];
+    for (let by = 0; by + BLOCK <= height; by += BLOCK) {
+        for (let bx = 0; bx + BLOCK <= width; bx += BLOCK) {
+            let sum = 0;
+            for (let y = by; y < by + BLOCK; y++) {
+                for (let x = bx; x < bx + BLOCK; x++) {
+                    const i = (y * width + x) * 4;
+                    sum += 0.2126 * ColorUtils.srgbToLinear(data[i]) +
+                        0.7152 * ColorUtils.srgbToLinear(data[i + 1]) +
+                        0.0722 * ColorUtils.srgbToLinear(data[i + 2]);
+                }
+            }
+            blocks.push(sum / (BLOCK * BLOCK));
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Mean absolute brightness error (linear light, in %) of a dithered image against the source
+ */
+function brightnessError(source, result) {
+    const expected = blockLuminance(source);
+    const actual = blockLuminance(result);
+    const total = expected.reduce((sum, value, i) => sum + Math.abs(value - actual[i]), 0);
+    return total / expected.length * 100;
+}
+
+export function runComparison() {
+    const source = createRamp();
+    const results = [];
+
+    for (const [paletteName, palette] of Object.entries(PALETTES)) {
+        for (const kernel of KERNELS) {
+            const dither = (linear) => {
+                const copy = { ...source, data: new Uint8ClampedArray(source.data) };
+                return DitheringEngine.errorDiffusion(copy, palette, DiffusionKernels[kernel], { linear });
+            };
+            const srgb = brightnessError(source, dither(false));
+            const linear = brightnessError(source, dither(true));
+
+            results.push({
+                palette: paletteName,
+                kernel,
+                'sRGB error %': srgb.toFixed(2),
+                'linear error %': linear.toFixed(2),
+                result: linear < srgb ? 'OK' : 'REGRESSION'
+            });
+        }
+    }
+
+    return results;
+}
+
+const results = runComparison();
+console.table(results);
+
+const failed = results.filter(row => row.result !== 'OK').length;
+if (typeof process !== 'undefined' && failed > 0) {
+    process.exitCode = 1;
+}
+
+if (typeof document !== 'undefined') {
+    const columns = Object.keys(results[0]);
+    document.getElementById('results').innerHTML = `
+        <tr>${columns.map(c => `<th>${c}</th>`).join('')}</tr>
+        ${results.map(row => `<tr>${columns.map(c => `<td>${row[c]}</td>`).join('')}</tr>`).join('')}
+    `;
+}
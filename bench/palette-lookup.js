@@ -0,0 +1,128 @@
+/**
+ * Palette lookup benchmark - linear palette scan vs. PaletteLookup LUT
+ * Also checks that the LUT picks the same color as the scan for every pixel
+ * Runs in the browser (bench/index.html) or Node: node bench/palette-lookup.js
+ * Exits with code 1 in Node when more pixels differ than the metric allows
+ */
+
+import { ColorUtils } from '../js/core/ColorUtils.js';
+import { PaletteLookup } from '../js/core/PaletteLookup.js';
+import { SeededRandom } from '../js/core/SeededRandom.js';
+
+const IMAGE_SIZE = 512;
+const PALETTE_SIZES = [4, 16, 64, 256];
+
+// Allowed share of differing pixels - CIEDE2000's hue term makes its color regions
+// non-convex around the gray axis, so a cell whose corners agree can still hide a pocket
+const MISMATCH_TOLERANCE = { ciede2000: 1e-4 };
+
+/**
+ * Fixed test image: smooth gradients plus seeded grain, identical on every run
+ */
+function createTestImage(size) {
+    const data = new Uint8ClampedArray(size * size * 4);
+    const random = new SeededRandom(1234);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const i = (y * size + x) * 4;
+            const grain = (random.next() - 0.5) * 24;
+            data[i] = (x / size) * 255 + grain;
+            data[i + 1] = (y / size) * 255 + grain;
+            data[i + 2] = ((x + y) / (2 * size)) * 255 - grain;
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width: size, height: size };
+}
+
+/**
+ * Fixed palette of the given size (seeded random colors)
+ */
+function createPalette(count) {
+    const random = new SeededRandom(count);
+    return Array.from({ length: count }, () => [
+        Math.floor(random.next() * 256),
+        Math.floor(random.next() * 256),
+        Math.floor(random.next() * 256)
+    ]);
+}
+
+/**
+ * Megapixels per second for matching every pixel of the image
+ */
+function measure(image, match) {
+    const { data } = image;
+    const pixels = data.length / 4;
+    let checksum = 0;
+
+    const start = performance.now();
+    for (let i = 0; i < data.length; i += 4) {
+        checksum += match(data[i], data[i + 1], data[i + 2]);
+    }
+    const elapsed = performance.now() - start;
+
+    return { mpps: pixels / 1e6 / (elapsed / 1000), checksum };
+}
+
+/**
+ * Pixels where the LUT and the exact scan disagree
+ */
+function countMismatches(image, exact, lookup) {
+    const { data } = image;
+    let mismatches = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (exact(data[i], data[i + 1], data[i + 2]) !== lookup(data[i], data[i + 1], data[i + 2])) {
+            mismatches++;
+        }
+    }
+    return mismatches;
+}
+
+export function runBenchmark() {
+    const image = createTestImage(IMAGE_SIZE);
+    const results = [];
+
+    for (const metric of ColorUtils.METRICS) {
+        for (const size of PALETTE_SIZES) {
+            const palette = createPalette(size);
+            const exact = ColorUtils.createMatcher(palette, metric);
+            const linear = measure(image, exact);
+
+            // Cold = first pass fills the LUT, warm = cached palette
+            PaletteLookup.cache.clear();
+            const cold = measure(image, PaletteLookup.get(palette, metric).match);
+            const warm = measure(image, PaletteLookup.get(palette, metric).match);
+
+            const mismatches = countMismatches(image, exact, PaletteLookup.get(palette, metric).match);
+
+            results.push({
+                metric,
+                colors: size,
+                'linear Mpx/s': linear.mpps.toFixed(1),
+                'LUT cold Mpx/s': cold.mpps.toFixed(1),
+                'LUT warm Mpx/s': warm.mpps.toFixed(1),
+                speedup: (warm.mpps / linear.mpps).toFixed(1) + 'x',
+                mismatches,
+                result: mismatches / (IMAGE_SIZE * IMAGE_SIZE) <= (MISMATCH_TOLERANCE[metric] || 0) ? 'OK' : 'MISMATCH'
+            });
+        }
+    }
+
+    return results;
+}
+
+const results = runBenchmark();
+console.table(results);
+
+const failed = results.filter(row => row.result !== 'OK').length;
+if (typeof process !== 'undefined' && failed > 0) {
+    process.exitCode = 1;
+}
+
+if (typeof document !== 'undefined') {
+    const columns = Object.keys(results[0]);
+    document.getElementById('results').innerHTML = `
+        <tr>${columns.map(c => `<th>${c}</th>`).join('')}</tr>
+        ${results.map(row => `<tr>${columns.map(c => `<td>${row[c]}</td>`).join('')}</tr>`).join('')}
+    `;
+}
@@ -4,35 +4,280 @@
  */
 
 import { ImageProcessor } from './core/ImageProcessor.js';
-import { stateManager } from './state/StateManager.js';
+import { stateManager, StateManager } from './state/StateManager.js';
+import { PresetSchema } from './state/PresetSchema.js';
+import { UrlState } from './state/UrlState.js';
+import { SessionStore } from './state/SessionStore.js';
 import { Presets } from './data/Presets.js';
+import { Palettes } from './data/Palettes.js';
+import { DiffusionKernels } from './core/DiffusionKernels.js';
+import { ThresholdMaps } from './core/ThresholdMaps.js';
+import { PaletteExtractor } from './core/PaletteExtractor.js';
+import { PaletteFormats } from './core/PaletteFormats.js';
 import { ColorPicker } from './components/ColorPicker.js';
+import { BatchQueue } from './components/BatchQueue.js';
+import { CompareView } from './components/CompareView.js';
+import { Viewport } from './components/Viewport.js';
+import { CurveEditor } from './components/CurveEditor.js';
+import { ZipWriter } from './core/ZipWriter.js';
+import { IndexedEncoder } from './core/IndexedEncoder.js';
+import { ColorUtils } from './core/ColorUtils.js';
+import { SeededRandom } from './core/SeededRandom.js';
+import { PaletteLookup } from './core/PaletteLookup.js';
+import { ToneAdjust } from './core/ToneAdjust.js';
+
+// Palettes larger than this switch to the compact swatch grid
+const COMPACT_PALETTE_THRESHOLD = 8;
+
+// Largest exported side in pixels - bigger canvases fail to encode in most browsers
+const MAX_EXPORT_SIZE = 8192;
+
+// Lossy download formats offered next to the WebP button
+const LOSSY_FORMATS = {
+    webp: { label: 'WebP', mime: 'image/webp', extension: 'webp' },
+    jpeg: { label: 'JPEG', mime: 'image/jpeg', extension: 'jpg' },
+    avif: { label: 'AVIF', mime: 'image/avif', extension: 'avif' }
+};
+
+// Tone sliders: element id = setting key, slider value = setting * scale
+const TONE_SLIDERS = {
+    toneBrightness: { scale: 1, format: v => (v > 0 ? '+' : '') + v },
+    toneContrast: { scale: 1, format: v => (v > 0 ? '+' : '') + v },
+    toneGamma: { scale: 100, format: v => v.toFixed(2) },
+    toneSaturation: { scale: 1, format: v => (v > 0 ? '+' : '') + v },
+    levelsInBlack: { scale: 1, format: v => v },
+    levelsInWhite: { scale: 1, format: v => v },
+    levelsOutBlack: { scale: 1, format: v => v },
+    levelsOutWhite: { scale: 1, format: v => v }
+};
 
 class PicFixerApp {
     constructor() {
         this.processor = new ImageProcessor();
         this.processDebounceTimer = null;
+        this.settleTimer = null;
         this.colorPickers = [];
+        this.selectedColorIndex = 0;
+        this.dragColorIndex = null;
+        this.isEditingColor = false;
+        this.urlHash = null;
+        this.urlUpdateTimer = null;
+        this.sessionSaveTimer = null;
+        this.sessionRestored = false;
+        this.histogramFrame = null;
+        this.readoutFrame = null;
+        this.readoutPoint = null;
+        this.outputPixels = null; // ImageData of the displayed result, read on first hover
         this.init();
     }
 
     init() {
         this.setupFileUpload();
+        this.setupBatch();
         this.setupPresets();
+        this.setupToneControls();
         this.setupDitheringControls();
         this.setupPosterizeControls();
+        this.setupAlphaControls();
         this.setupEffectControls();
         this.setupColorPalette();
+        this.setupPaletteExtraction();
+        this.setupPaletteFiles();
+        this.setupPaletteLibrary();
         this.setupDownload();
+        this.setupCompareView();
+        this.setupViewport();
         
         // Subscribe to state changes
         stateManager.subscribe((state, key) => {
-            if (key === 'colors') this.renderColorPalette();
+            if (key === 'colors' && !this.isEditingColor) this.renderColorPalette();
+            if (key === 'colors') this.updatePaletteLibraryHighlight();
         });
         
+        // Slider released - render at full resolution right away
+        const sidebar = document.querySelector('.sidebar');
+        sidebar.addEventListener('change', (e) => {
+            stateManager.endHistoryGroup();
+            if (e.target.type === 'range') this.processImage();
+        });
+        
+        // Toggles, buttons and selects are one undo step per click - only drags merge
+        // (runs after the control's own handler, which has already recorded the change)
+        sidebar.addEventListener('click', () => stateManager.endHistoryGroup());
+        
+        this.setupHistory();
+        this.setupUrlState();
+        this.setupSession();
+        
         console.log('🎨 PicFixer initialized - Pure JavaScript/Canvas');
     }
 
+    // ==================== HISTORY ====================
+    
+    setupHistory() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        
+        undoBtn.addEventListener('click', () => stateManager.undo());
+        redoBtn.addEventListener('click', () => stateManager.redo());
+        
+        stateManager.subscribe((state, key) => {
+            if (key === 'history') {
+                this.updateAllUIFromState();
+                this.processImage();
+            }
+            undoBtn.disabled = !stateManager.canUndo();
+            redoBtn.disabled = !stateManager.canRedo();
+        });
+        
+        // Ctrl+Z = undo, Ctrl+Shift+Z / Ctrl+Y = redo (Cmd on macOS)
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            
+            // Text fields keep their native undo
+            const target = e.target;
+            if (target.isContentEditable || target.tagName === 'TEXTAREA' ||
+                (target.tagName === 'INPUT' && target.type !== 'range' && target.type !== 'checkbox')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                stateManager.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                stateManager.redo();
+            }
+        });
+    }
+
+    // ==================== URL STATE ====================
+    
+    /**
+     * Keep the URL hash in sync with the settings, and apply shared links
+     */
+    setupUrlState() {
+        stateManager.subscribe((state, key) => {
+            if (['settings', 'colors', 'preset', 'history'].includes(key)) this.scheduleUrlUpdate();
+        });
+        
+        // Link pasted into the same tab (our own replaceState calls don't fire this)
+        window.addEventListener('hashchange', () => {
+            if (location.hash.slice(1) !== this.urlHash) this.applyUrlState();
+        });
+    }
+
+    async applyUrlState() {
+        try {
+            const preset = await UrlState.decode(location.hash);
+            if (!preset) return;
+            
+            this.urlHash = location.hash.slice(1);
+            stateManager.applyPreset(preset, null);
+            this.updateAllUIFromState();
+            this.processImage();
+        } catch (err) {
+            console.error('Failed to apply URL state:', err);
+        }
+    }
+
+    scheduleUrlUpdate() {
+        clearTimeout(this.urlUpdateTimer);
+        this.urlUpdateTimer = setTimeout(async () => {
+            const { colors, settings } = stateManager.getState();
+            this.urlHash = await UrlState.encode(colors, settings);
+            history.replaceState(null, '', '#' + this.urlHash);
+        }, 300);
+    }
+
+    // ==================== SESSION ====================
+    
+    /**
+     * Persist palette, settings and source image in IndexedDB across reloads
+     */
+    setupSession() {
+        stateManager.subscribe((state, key) => {
+            if (['settings', 'colors', 'preset', 'history'].includes(key)) this.scheduleSessionSave();
+        });
+        
+        document.getElementById('startFreshBtn').addEventListener('click', () => this.startFresh());
+        
+        this.restoreSession();
+    }
+
+    /**
+     * Restore the saved session, then apply a shared link on top of it
+     */
+    async restoreSession() {
+        let session = {};
+        try {
+            session = await SessionStore.load();
+        } catch (err) {
+            console.error('Failed to load session:', err);
+        }
+        
+        if (session.state) {
+            try {
+                // Settings saved by an older version may be stale - validate before use
+                const { colors, ...settings } = PresetSchema.validate({
+                    name: 'Session',
+                    colors: session.state.colors,
+                    ...PresetSchema.pickSettings(session.state.settings || {})
+                });
+                stateManager.restoreSession(colors, PresetSchema.pickSettings(settings));
+                this.updateAllUIFromState();
+            } catch (err) {
+                console.error('Ignoring invalid saved session:', err);
+            }
+        }
+        if (session.image) await this.loadImage(session.image, false);
+        
+        // Saving starts only now, so defaults never overwrite the stored session
+        this.sessionRestored = true;
+        await this.applyUrlState();
+        
+        // Store the state once even if nothing changes later - keeps the seed paired with the image
+        this.saveSession();
+    }
+
+    scheduleSessionSave() {
+        if (!this.sessionRestored) return;
+        
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => this.saveSession(), 500);
+    }
+
+    /**
+     * Write palette + settings right away (replaces a pending scheduled save)
+     */
+    saveSession() {
+        if (!this.sessionRestored) return;
+        
+        clearTimeout(this.sessionSaveTimer);
+        const { colors, settings } = stateManager.getState();
+        SessionStore.saveState({ colors, settings })
+            .catch(err => console.error('Failed to save session:', err));
+    }
+
+    /**
+     * Drop the saved session and reload with defaults
+     */
+    async startFresh() {
+        if (!confirm('Törlöd a mentett képet, palettát és beállításokat, és újrakezded?')) return;
+        
+        this.sessionRestored = false;
+        clearTimeout(this.sessionSaveTimer);
+        clearTimeout(this.urlUpdateTimer);
+        
+        try {
+            await SessionStore.clear();
+        } catch (err) {
+            console.error('Failed to clear session:', err);
+        }
+        
+        history.replaceState(null, '', location.pathname + location.search);
+        location.reload();
+    }
+
     // ==================== FILE UPLOAD ====================
     
     setupFileUpload() {
@@ -61,32 +306,150 @@ class PicFixerApp {
             uploadArea.classList.remove('dragover');
         });
         
-        uploadArea.addEventListener('drop', (e) => {
+        uploadArea.addEventListener('drop', async (e) => {
             e.preventDefault();
             uploadArea.classList.remove('dragover');
-            const file = e.dataTransfer.files[0];
-            console.log('File dropped:', file);
-            if (file?.type.startsWith('image/')) this.loadImage(file);
+            const files = [...e.dataTransfer.files];
+            console.log('Files dropped:', files);
+            if (files.length > 1) {
+                this.queueFiles(files);
+                return;
+            }
+            
+            const file = files[0];
+            if (!file) return;
+            
+            // Palette files (and 1 px tall/wide PNG swatch strips) go to the palette
+            if (PaletteFormats.isPaletteFile(file) || await PaletteFormats.isSwatchImage(file)) {
+                this.importPalette(file);
+            } else if (file.type.startsWith('image/')) {
+                this.loadImage(file);
+            }
         });
         
         fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            console.log('File selected:', file);
-            if (file) this.loadImage(file);
+            const files = [...e.target.files];
+            console.log('Files selected:', files);
+            if (files.length > 1) {
+                this.queueFiles(files);
+            } else if (files[0]) {
+                this.loadImage(files[0]);
+            }
+            fileInput.value = '';
         });
     }
 
-    async loadImage(file) {
+    async loadImage(file, persist = true) {
         console.log('Loading image:', file.name);
         try {
             await this.processor.loadImage(file);
             console.log('Image loaded successfully');
             this.processImage();
+            this.scheduleHistogram();
+            
+            if (persist) {
+                SessionStore.saveImage(file).catch(err => console.error('Failed to save image:', err));
+                // The settings (seed included) the image is shown with, even if none are touched
+                this.saveSession();
+            }
         } catch (err) {
             console.error('Failed to load image:', err);
         }
     }
 
+    // ==================== BATCH ====================
+    
+    setupBatch() {
+        this.batchQueue = new BatchQueue({
+            onChange: () => this.updateBatchControls()
+        }).create(document.getElementById('batchQueueContainer'));
+        this.batchProcessor = null;
+        this.batchRunning = false;
+        this.batchCancelled = false;
+        
+        document.getElementById('runBatchBtn').addEventListener('click', () => this.runBatch());
+        document.getElementById('cancelBatchBtn').addEventListener('click', () => {
+            this.batchCancelled = true;
+        });
+        document.getElementById('clearBatchBtn').addEventListener('click', () => this.batchQueue.clear());
+    }
+
+    /**
+     * Add images to the batch queue; the first one is also opened if nothing is loaded yet
+     */
+    queueFiles(files) {
+        const images = files.filter(file => file.type.startsWith('image/'));
+        if (images.length === 0) return;
+        
+        this.batchQueue.add(images);
+        if (!this.processor.hasImage()) this.loadImage(images[0]);
+    }
+
+    updateBatchControls() {
+        const counts = this.batchQueue.getCounts();
+        document.getElementById('batchSection').style.display = counts.total ? 'block' : 'none';
+        document.getElementById('batchSummary').textContent = counts.total
+            ? `${counts.done} / ${counts.total}` + (counts.error ? ` · ${counts.error} hiba` : '')
+            : '';
+        document.getElementById('runBatchBtn').disabled = this.batchRunning;
+        document.getElementById('clearBatchBtn').disabled = this.batchRunning;
+        document.getElementById('cancelBatchBtn').style.display = this.batchRunning ? 'block' : 'none';
+    }
+
+    /**
+     * Process every queued file with the current look and download the results as one ZIP
+     * Uses its own ImageProcessor, so the live preview keeps working meanwhile
+     */
+    async runBatch() {
+        if (this.batchRunning || this.batchQueue.items.length === 0) return;
+        
+        this.batchRunning = true;
+        this.batchCancelled = false;
+        this.batchProcessor ??= new ImageProcessor();
+        
+        // One snapshot of the settings for the whole batch
+        const settings = { ...stateManager.getProcessingSettings() };
+        const items = [...this.batchQueue.items];
+        items.forEach(item => this.batchQueue.update(item.id, { status: 'queued', progress: 0, error: null }));
+        
+        const zip = new ZipWriter();
+        for (const item of items) {
+            if (this.batchCancelled) break;
+            
+            let loaded = false;
+            try {
+                this.batchQueue.update(item.id, { status: 'loading', progress: 0.1 });
+                await this.batchProcessor.loadImage(item.file);
+                loaded = true;
+                
+                this.batchQueue.update(item.id, { status: 'processing', progress: 0.3 });
+                const canvas = await this.batchProcessor.process(settings);
+                if (!canvas) throw new Error('megszakítva');
+                
+                this.batchQueue.update(item.id, { status: 'encoding', progress: 0.8 });
+                const blob = await this.batchProcessor.getBlob('image/png');
+                const name = item.file.name.replace(/\.[^.]+$/, '') + '-picfixer.png';
+                zip.addFile(name, new Uint8Array(await blob.arrayBuffer()));
+                
+                this.batchQueue.update(item.id, { status: 'done', progress: 1 });
+            } catch (err) {
+                console.error(`Batch: failed to process ${item.file.name}:`, err);
+                this.batchQueue.update(item.id, {
+                    status: 'error',
+                    progress: 0,
+                    error: loaded ? err.message : 'a kép nem olvasható'
+                });
+            }
+        }
+        
+        this.batchRunning = false;
+        this.updateBatchControls();
+        
+        if (zip.entries.length > 0) {
+            this.downloadBlob(zip.toBlob(), `picfixer-batch-${Date.now()}.zip`);
+        }
+    }
+
     // ==================== PRESETS ====================
     
     setupPresets() {
@@ -94,13 +457,18 @@ class PicFixerApp {
         
         grid.innerHTML = Object.entries(Presets).map(([key, preset]) => `
             <button class="preset-btn" data-preset="${key}">
-                ${preset.name}
+                <span class="preset-name"></span>
                 <div class="preset-colors">
                     ${preset.colors.map(c => `<div class="preset-color" style="background: ${c}"></div>`).join('')}
                 </div>
             </button>
         `).join('');
         
+        // Names as text, never markup
+        grid.querySelectorAll('.preset-btn').forEach(btn => {
+            btn.querySelector('.preset-name').textContent = Presets[btn.dataset.preset].name;
+        });
+        
         grid.addEventListener('click', (e) => {
             const btn = e.target.closest('.preset-btn');
             if (!btn) return;
@@ -121,6 +489,24 @@ class PicFixerApp {
         // Setup save button
         document.getElementById('savePresetBtn').addEventListener('click', () => this.saveCurrentPreset());
         
+        // Export / import as JSON files
+        const presetInput = document.getElementById('presetInput');
+        document.getElementById('exportActivePresetBtn').addEventListener('click', () => this.exportActivePreset());
+        document.getElementById('exportSavedPresetsBtn').addEventListener('click', () => {
+            const saved = JSON.parse(localStorage.getItem('picfixer_presets') || '[]');
+            if (saved.length === 0) {
+                alert('Nincs mentett preset.');
+                return;
+            }
+            this.exportPresets(saved, 'picfixer-presets.json');
+        });
+        document.getElementById('importPresetsBtn').addEventListener('click', () => presetInput.click());
+        presetInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importPresets(file);
+            presetInput.value = '';
+        });
+        
         // Load saved presets
         this.renderSavedPresets();
     }
@@ -129,27 +515,7 @@ class PicFixerApp {
         const name = prompt('Add meg a preset nevét:');
         if (!name || !name.trim()) return;
         
-        const state = stateManager.getState();
-        const preset = {
-            name: name.trim(),
-            colors: [...state.colors],
-            ditherType: state.settings.ditherType,
-            ditherStrength: state.settings.ditherStrength,
-            pixelScale: state.settings.pixelScale,
-            posterizeEnabled: state.settings.posterizeEnabled,
-            posterizeLevels: state.settings.posterizeLevels,
-            posterizeMode: state.settings.posterizeMode,
-            blobEnabled: state.settings.blobEnabled,
-            blobIntensity: state.settings.blobIntensity,
-            blobDensity: state.settings.blobDensity,
-            blobSizeMin: state.settings.blobSizeMin,
-            blobSizeMax: state.settings.blobSizeMax,
-            blobSoftness: state.settings.blobSoftness,
-            blobBlendMode: state.settings.blobBlendMode,
-            noiseEnabled: state.settings.noiseEnabled,
-            noiseAmount: state.settings.noiseAmount,
-            timestamp: Date.now()
-        };
+        const preset = PresetSchema.fromState(name.trim(), stateManager.getState());
         
         // Load existing presets
         const saved = JSON.parse(localStorage.getItem('picfixer_presets') || '[]');
@@ -172,24 +538,39 @@ class PicFixerApp {
             <div class="saved-presets-title">Mentett presetek</div>
             ${saved.map((preset, idx) => `
                 <div class="saved-preset-item" data-index="${idx}">
-                    <span class="saved-preset-name">${preset.name}</span>
+                    <span class="saved-preset-name"></span>
                     <div class="saved-preset-colors">
                         ${preset.colors.map(c => `<div class="preset-color" style="background: ${c}"></div>`).join('')}
                     </div>
+                    <button class="saved-preset-export" data-index="${idx}" title="Exportálás JSON-be">⤓</button>
                     <button class="saved-preset-delete" data-index="${idx}">×</button>
                 </div>
             `).join('')}
         `;
         
+        // Names come from imported files - set them as text, never markup
+        container.querySelectorAll('.saved-preset-item').forEach(item => {
+            item.querySelector('.saved-preset-name').textContent = saved[parseInt(item.dataset.index)].name;
+        });
+        
         // Apply preset on click
         container.querySelectorAll('.saved-preset-item').forEach(item => {
             item.addEventListener('click', (e) => {
-                if (e.target.classList.contains('saved-preset-delete')) return;
+                if (e.target.closest('.saved-preset-delete, .saved-preset-export')) return;
                 const idx = parseInt(item.dataset.index);
                 this.applySavedPreset(idx);
             });
         });
         
+        // Export preset
+        container.querySelectorAll('.saved-preset-export').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const preset = saved[parseInt(btn.dataset.index)];
+                if (preset) this.exportPresets([preset], this.getPresetFilename(preset.name));
+            });
+        });
+        
         // Delete preset
         container.querySelectorAll('.saved-preset-delete').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -220,42 +601,299 @@ class PicFixerApp {
         this.renderSavedPresets();
     }
 
+    /**
+     * Export the active preset - built-in ones too, so they can serve as templates
+     */
+    exportActivePreset() {
+        const key = stateManager.getState().activePreset;
+        let preset = Presets[key];
+        if (!preset && key?.startsWith('saved_')) {
+            const saved = JSON.parse(localStorage.getItem('picfixer_presets') || '[]');
+            preset = saved[parseInt(key.slice('saved_'.length))];
+        }
+        
+        if (!preset) {
+            alert('Nincs aktív preset. Válassz egyet, vagy mentsd el a jelenlegi beállításokat.');
+            return;
+        }
+        this.exportPresets([preset], this.getPresetFilename(preset.name));
+    }
+
+    exportPresets(presets, filename) {
+        const json = JSON.stringify(PresetSchema.toFile(presets), null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+    }
+
+    getPresetFilename(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `picfixer-preset-${slug || 'export'}.json`;
+    }
+
+    /**
+     * Import presets from a JSON export - validated, name collisions get a numbered suffix
+     */
+    async importPresets(file) {
+        let presets;
+        try {
+            presets = PresetSchema.parseFile(await file.text());
+        } catch (err) {
+            console.error('Failed to import presets:', err);
+            alert(`Az importálás sikertelen: ${err.message}`);
+            return;
+        }
+        
+        const saved = JSON.parse(localStorage.getItem('picfixer_presets') || '[]');
+        const names = new Set([
+            ...Object.values(Presets).map(p => p.name),
+            ...saved.map(p => p.name)
+        ]);
+        
+        let renamed = 0;
+        for (const preset of presets) {
+            let name = preset.name.trim();
+            if (names.has(name)) {
+                let n = 2;
+                while (names.has(`${name} (${n})`)) n++;
+                name = `${name} (${n})`;
+                renamed++;
+            }
+            names.add(name);
+            saved.push({ ...preset, name, timestamp: preset.timestamp ?? Date.now() });
+        }
+        
+        localStorage.setItem('picfixer_presets', JSON.stringify(saved));
+        this.renderSavedPresets();
+        
+        alert(`${presets.length} preset importálva` + (renamed ? ` (${renamed} átnevezve névütközés miatt).` : '.'));
+    }
+
+    // ==================== TONE ====================
+    
+    setupToneControls() {
+        for (const [key, slider] of Object.entries(TONE_SLIDERS)) {
+            const input = document.getElementById(key);
+            const valueLabel = document.getElementById(key + 'Value');
+            
+            input.addEventListener('input', () => {
+                const value = parseInt(input.value) / slider.scale;
+                valueLabel.textContent = slider.format(value);
+                stateManager.updateSettings({ [key]: value });
+                this.processImageDebounced();
+            });
+        }
+        
+        this.curveEditor = new CurveEditor({
+            onChange: (points) => {
+                stateManager.updateSettings({ toneCurve: points });
+                this.processImageDebounced();
+            },
+            onCommit: () => {
+                stateManager.endHistoryGroup();
+                this.processImage();
+            }
+        }).create(document.getElementById('toneCurve'));
+        
+        document.getElementById('toneResetBtn').addEventListener('click', () => {
+            stateManager.updateSettings({ ...ToneAdjust.DEFAULTS });
+            stateManager.endHistoryGroup();
+            this.updateToneUI();
+            this.processImage();
+        });
+        
+        // Histogram follows every tone change, undo/redo and preset
+        stateManager.subscribe((state, key) => {
+            if (['settings', 'preset', 'history', 'restore'].includes(key)) this.scheduleHistogram();
+        });
+        
+        this.updateToneUI();
+    }
+
+    updateToneUI() {
+        const s = stateManager.getState().settings;
+        for (const [key, slider] of Object.entries(TONE_SLIDERS)) {
+            document.getElementById(key).value = Math.round(s[key] * slider.scale);
+            document.getElementById(key + 'Value').textContent = slider.format(s[key]);
+        }
+        this.curveEditor.setPoints(s.toneCurve);
+    }
+
+    scheduleHistogram() {
+        if (this.histogramFrame) return;
+        this.histogramFrame = requestAnimationFrame(() => {
+            this.histogramFrame = null;
+            this.drawHistogram();
+        });
+    }
+
+    /**
+     * Source luminance histogram (gray) with the adjusted one on top (accent)
+     */
+    drawHistogram() {
+        const canvas = document.getElementById('toneHistogram');
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        
+        const imageData = this.processor.originalImageData;
+        canvas.classList.toggle('empty', !imageData);
+        if (!imageData) return;
+        
+        const { source, adjusted } = ToneAdjust.histogram(imageData, stateManager.getState().settings);
+        
+        // Square root scale so a few huge bins (e.g. a white background) do not flatten the rest
+        const peak = Math.sqrt(Math.max(...source, ...adjusted)) || 1;
+        const barWidth = canvas.width / 256;
+        const plot = (bins) => {
+            for (let i = 0; i < 256; i++) {
+                const height = Math.sqrt(bins[i]) / peak * canvas.height;
+                ctx.fillRect(i * barWidth, canvas.height - height, barWidth, height);
+            }
+        };
+        
+        const style = getComputedStyle(canvas);
+        ctx.fillStyle = style.getPropertyValue('--text-secondary').trim() || '#888';
+        ctx.globalAlpha = 0.5;
+        plot(source);
+        ctx.fillStyle = style.getPropertyValue('--accent').trim() || '#6366f1';
+        ctx.globalAlpha = 0.7;
+        plot(adjusted);
+        ctx.globalAlpha = 1;
+    }
+
     // ==================== DITHERING ====================
     
     setupDitheringControls() {
         const typeSelect = document.getElementById('ditheringType');
-        const bayerGroup = document.getElementById('bayerSizeGroup');
         const bayerSlider = document.getElementById('bayerSize');
         const bayerValue = document.getElementById('bayerSizeValue');
+        const orderedModeSelect = document.getElementById('orderedMode');
         const strengthSlider = document.getElementById('ditheringStrength');
         const strengthValue = document.getElementById('ditheringStrengthValue');
         const pixelSlider = document.getElementById('pixelScale');
         const pixelValue = document.getElementById('pixelScaleValue');
+        const metricSelect = document.getElementById('colorMetric');
+        const thresholdMapSelect = document.getElementById('thresholdMapType');
+        const thresholdMapInput = document.getElementById('thresholdMapInput');
+        const serpentineToggle = document.getElementById('serpentineToggle');
+        const linearLightToggle = document.getElementById('linearLightToggle');
+        const attenuationSlider = document.getElementById('errorAttenuation');
+        const attenuationValue = document.getElementById('errorAttenuationValue');
+        
+        // Error-diffusion options come from the kernel registry
+        document.getElementById('diffusionKernelOptions').innerHTML = Object.entries(DiffusionKernels)
+            .map(([key, kernel]) => `<option value="${key}">${kernel.name}</option>`)
+            .join('');
+        typeSelect.value = stateManager.getState().settings.ditherType;
         
         typeSelect.addEventListener('change', () => {
             stateManager.updateSettings({ ditherType: typeSelect.value });
-            bayerGroup.style.display = typeSelect.value === 'ordered' ? 'block' : 'none';
+            this.updateDitheringVisibility();
+            this.processImage();
+        });
+        
+        metricSelect.addEventListener('change', () => {
+            stateManager.updateSettings({ colorMetric: metricSelect.value });
             this.processImage();
         });
         
+        thresholdMapSelect.addEventListener('change', () => {
+            stateManager.updateSettings({ orderedMatrix: thresholdMapSelect.value });
+            this.updateDitheringVisibility();
+            this.processImage();
+        });
+        
+        document.getElementById('thresholdMapUploadBtn').addEventListener('click', () => thresholdMapInput.click());
+        thresholdMapInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadThresholdMap(file);
+            thresholdMapInput.value = '';
+        });
+        
         bayerSlider.addEventListener('input', () => {
             bayerValue.textContent = bayerSlider.value;
             stateManager.updateSettings({ orderedMatrixSize: parseInt(bayerSlider.value) });
             this.processImageDebounced();
         });
         
+        orderedModeSelect.addEventListener('change', () => {
+            stateManager.updateSettings({ orderedMode: orderedModeSelect.value });
+            this.processImage();
+        });
+        
         strengthSlider.addEventListener('input', () => {
             strengthValue.textContent = strengthSlider.value + '%';
             stateManager.updateSettings({ ditherStrength: parseInt(strengthSlider.value) });
             this.processImageDebounced();
         });
         
+        serpentineToggle.addEventListener('click', () => {
+            serpentineToggle.classList.toggle('active');
+            stateManager.updateSettings({ ditherSerpentine: serpentineToggle.classList.contains('active') });
+            this.processImage();
+        });
+        
+        linearLightToggle.addEventListener('click', () => {
+            linearLightToggle.classList.toggle('active');
+            stateManager.updateSettings({ ditherLinear: linearLightToggle.classList.contains('active') });
+            this.processImage();
+        });
+        
+        attenuationSlider.addEventListener('input', () => {
+            attenuationValue.textContent = attenuationSlider.value + '%';
+            stateManager.updateSettings({ ditherErrorAttenuation: parseInt(attenuationSlider.value) });
+            this.processImageDebounced();
+        });
+        
         pixelSlider.addEventListener('input', () => {
             const value = parseInt(pixelSlider.value) / 10;
             pixelValue.textContent = value.toFixed(1) + 'x';
             stateManager.updateSettings({ pixelScale: value });
             this.processImageDebounced();
         });
+        
+        this.updateDitheringVisibility();
+    }
+
+    /**
+     * Show only the controls that apply to the selected algorithm
+     */
+    updateDitheringVisibility() {
+        const s = stateManager.getState().settings;
+        const ordered = s.ditherType === 'ordered';
+        const sizedMap = ThresholdMaps.SIZED_TYPES.includes(s.orderedMatrix);
+        
+        document.getElementById('thresholdMapGroup').style.display = ordered ? 'block' : 'none';
+        document.getElementById('bayerSizeGroup').style.display = ordered && sizedMap ? 'block' : 'none';
+        document.getElementById('orderedModeGroup').style.display = ordered ? 'block' : 'none';
+        document.getElementById('thresholdMapUpload').style.display =
+            ordered && s.orderedMatrix === 'custom' ? 'flex' : 'none';
+        document.getElementById('diffusionOptionsGroup').style.display =
+            DiffusionKernels[s.ditherType] ? 'block' : 'none';
+    }
+
+    /**
+     * Use an uploaded grayscale image as the ordered-dither threshold map
+     */
+    async loadThresholdMap(file) {
+        try {
+            const bitmap = await createImageBitmap(file);
+            
+            // Threshold maps are tiles - keep them small
+            const scale = Math.min(1, 256 / Math.max(bitmap.width, bitmap.height));
+            const width = Math.max(1, Math.round(bitmap.width * scale));
+            const height = Math.max(1, Math.round(bitmap.height * scale));
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0, width, height);
+            bitmap.close();
+            
+            stateManager.setCustomThresholdMap(ThresholdMaps.fromImageData(ctx.getImageData(0, 0, width, height)));
+            document.getElementById('thresholdMapInfo').textContent = `${width}×${height}`;
+            this.processImage();
+        } catch (err) {
+            console.error('Failed to load threshold map:', err);
+        }
     }
 
     // ==================== POSTERIZATION ====================
@@ -289,6 +927,58 @@ class PicFixerApp {
         });
     }
 
+    // ==================== TRANSPARENCY ====================
+    
+    setupAlphaControls() {
+        const modeSelect = document.getElementById('alphaMode');
+        const thresholdSlider = document.getElementById('alphaThreshold');
+        const thresholdValue = document.getElementById('alphaThresholdValue');
+        
+        modeSelect.addEventListener('change', () => {
+            stateManager.updateSettings({ alphaMode: modeSelect.value });
+            this.updateAlphaVisibility();
+            this.processImage();
+        });
+        
+        thresholdSlider.addEventListener('input', () => {
+            thresholdValue.textContent = thresholdSlider.value;
+            stateManager.updateSettings({ alphaThreshold: parseInt(thresholdSlider.value) });
+            this.processImageDebounced();
+        });
+        
+        // Flatten background: one of the palette colors
+        document.getElementById('alphaBackgroundSwatches').addEventListener('click', (e) => {
+            const swatch = e.target.closest('.alpha-bg-swatch');
+            if (!swatch) return;
+            stateManager.updateSettings({ alphaBackground: parseInt(swatch.dataset.index) });
+            this.renderAlphaBackgroundSwatches();
+            this.processImage();
+        });
+        
+        stateManager.subscribe((state, key) => {
+            if (key === 'colors') this.renderAlphaBackgroundSwatches();
+        });
+        
+        this.renderAlphaBackgroundSwatches();
+        this.updateAlphaVisibility();
+    }
+
+    updateAlphaVisibility() {
+        const mode = stateManager.getState().settings.alphaMode;
+        document.getElementById('alphaThresholdGroup').style.display = mode === 'threshold' ? 'block' : 'none';
+        document.getElementById('alphaBackgroundGroup').style.display = mode === 'flatten' ? 'block' : 'none';
+    }
+
+    renderAlphaBackgroundSwatches() {
+        const { colors, settings } = stateManager.getState();
+        const selected = Math.min(settings.alphaBackground, colors.length - 1);
+        
+        document.getElementById('alphaBackgroundSwatches').innerHTML = colors.map((color, i) => `
+            <button class="alpha-bg-swatch ${i === selected ? 'active' : ''}" data-index="${i}"
+                    style="background: ${color}" title="${color}"></button>
+        `).join('');
+    }
+
     // ==================== EFFECTS (BLOB & NOISE) ====================
     
     setupEffectControls() {
@@ -369,18 +1059,96 @@ class PicFixerApp {
             stateManager.updateSettings({ noiseAmount: parseInt(noiseAmountSlider.value) });
             this.processImageDebounced();
         });
+        
+        // Seed (shared by blobs and noise)
+        const seedInput = document.getElementById('seedInput');
+        const rerollBtn = document.getElementById('rerollSeedBtn');
+        seedInput.value = stateManager.getState().settings.seed;
+        
+        seedInput.addEventListener('change', () => {
+            let seed = parseInt(seedInput.value);
+            if (Number.isNaN(seed) || seed < 0) {
+                seedInput.value = stateManager.getState().settings.seed;
+                return;
+            }
+            
+            // Presets, share links and the saved session only accept seeds up to MAX_SEED
+            seed = Math.min(seed, SeededRandom.MAX_SEED);
+            seedInput.value = seed;
+            stateManager.updateSettings({ seed });
+            this.processImage();
+        });
+        
+        rerollBtn.addEventListener('click', () => {
+            seedInput.value = stateManager.rerollSeed();
+            this.processImage();
+        });
     }
 
     // ==================== COLOR PALETTE ====================
     
     setupColorPalette() {
+        const container = document.getElementById('paletteContainer');
+        
         document.getElementById('addColorBtn').addEventListener('click', () => {
             if (stateManager.addColor()) {
+                // New colors are inserted before the last one - select it for editing
+                this.selectedColorIndex = stateManager.getState().colors.length - 2;
                 this.renderColorPalette();
                 this.processImage();
             }
         });
         
+        // Drag reorder: rows are dragged by their handle, grid swatches directly
+        container.addEventListener('dragstart', (e) => {
+            const source = e.target.closest('[data-drag-index]');
+            if (!source) return;
+            this.dragColorIndex = parseInt(source.dataset.dragIndex);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(this.dragColorIndex));
+            if (source.classList.contains('drag-handle')) {
+                e.dataTransfer.setDragImage(source.closest('.palette-row'), 12, 20);
+            }
+        });
+        
+        container.addEventListener('dragover', (e) => {
+            const target = e.target.closest('[data-drop-index]');
+            if (!target || this.dragColorIndex === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            container.querySelectorAll('.drag-over').forEach(el => {
+                if (el !== target) el.classList.remove('drag-over');
+            });
+            target.classList.add('drag-over');
+        });
+        
+        container.addEventListener('drop', (e) => {
+            const target = e.target.closest('[data-drop-index]');
+            if (!target || this.dragColorIndex === null) return;
+            e.preventDefault();
+            
+            const from = this.dragColorIndex;
+            const to = parseInt(target.dataset.dropIndex);
+            this.dragColorIndex = null;
+            
+            // Keep the same color selected after the move
+            const selected = this.selectedColorIndex;
+            if (selected === from) this.selectedColorIndex = to;
+            else if (from < selected && selected <= to) this.selectedColorIndex--;
+            else if (to <= selected && selected < from) this.selectedColorIndex++;
+            
+            if (stateManager.moveColor(from, to)) {
+                this.processImage();
+            } else {
+                target.classList.remove('drag-over');
+            }
+        });
+        
+        container.addEventListener('dragend', () => {
+            this.dragColorIndex = null;
+            container.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        });
+        
         this.renderColorPalette();
     }
 
@@ -392,64 +1160,363 @@ class PicFixerApp {
         this.colorPickers.forEach(p => p.destroy?.());
         this.colorPickers = [];
         
+        document.getElementById('paletteCount').textContent = `${colors.length} / ${StateManager.MAX_COLORS}`;
+        document.getElementById('addColorBtn').disabled = colors.length >= StateManager.MAX_COLORS;
+        
+        // Large palettes get a swatch grid with a single editor instead of one row per color
+        if (colors.length > COMPACT_PALETTE_THRESHOLD) {
+            this.renderPaletteGrid(container, colors);
+        } else {
+            this.renderPaletteRows(container, colors);
+        }
+    }
+
+    /**
+     * Generate a palette from the loaded image
+     */
+    setupPaletteExtraction() {
+        const countInput = document.getElementById('extractCount');
+        
+        document.getElementById('extractPaletteBtn').addEventListener('click', () => {
+            if (!this.processor.hasImage()) return;
+            
+            const count = Math.max(StateManager.MIN_COLORS,
+                Math.min(StateManager.MAX_COLORS, parseInt(countInput.value) || 8));
+            countInput.value = count;
+            
+            const algorithm = document.getElementById('extractAlgorithm').value;
+            const colors = PaletteExtractor.extract(this.processor.originalImageData, count, algorithm);
+            
+            // Single-color (or fully transparent) image - nothing useful to apply
+            if (colors.length < StateManager.MIN_COLORS) return;
+            
+            this.selectedColorIndex = 0;
+            stateManager.setColors(colors);
+            this.processImage();
+        });
+    }
+
+    /**
+     * Palette import / export in external formats
+     */
+    setupPaletteFiles() {
+        const input = document.getElementById('paletteInput');
+        const formatSelect = document.getElementById('paletteExportFormat');
+        
+        formatSelect.innerHTML = Object.entries(PaletteFormats.FORMATS)
+            .map(([key, format]) => `<option value="${key}">${format.name}</option>`)
+            .join('');
+        
+        document.getElementById('importPaletteBtn').addEventListener('click', () => input.click());
+        
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importPalette(file);
+            input.value = '';
+        });
+        
+        document.getElementById('exportPaletteBtn').addEventListener('click', () => {
+            this.exportPalette(formatSelect.value);
+        });
+    }
+
+    async importPalette(file) {
+        try {
+            const { colors } = await PaletteFormats.parseFile(file);
+            if (colors.length < StateManager.MIN_COLORS) {
+                alert(`A paletta legalább ${StateManager.MIN_COLORS} színt kell tartalmazzon.`);
+                return;
+            }
+            
+            this.selectedColorIndex = 0;
+            stateManager.setColors(colors);
+            this.processImage();
+        } catch (err) {
+            console.error('Failed to import palette:', err);
+            alert(`A palettafájl nem olvasható be: ${file.name}`);
+        }
+    }
+
+    async exportPalette(format = 'gpl') {
+        const { colors, activePreset } = stateManager.getState();
+        const name = Presets[activePreset]?.name || 'PicFixer';
+        
+        const blob = await PaletteFormats.toBlob(colors, format, name);
+        this.downloadBlob(blob, `picfixer-palette.${format}`);
+    }
+
+    /**
+     * One picker row per color (small palettes)
+     */
+    renderPaletteRows(container, colors) {
+        const removable = colors.length > StateManager.MIN_COLORS;
+        
         container.innerHTML = colors.map((color, idx) => `
-            <div class="palette-row" data-index="${idx}">
-                <div class="picker-container" data-index="${idx}"></div>
-                <input type="text" class="color-hex" value="${color.toUpperCase()}" data-index="${idx}">
-                ${colors.length > 2 ? `<button class="remove-color-btn" data-index="${idx}">×</button>` : ''}
+            <div class="palette-row" data-index="${idx}" data-drop-index="${idx}">
+                <span class="drag-handle" draggable="true" data-drag-index="${idx}" title="Húzd az átrendezéshez">⋮⋮</span>
+                <div class="picker-container"></div>
+                <input type="text" class="color-hex" value="${color.toUpperCase()}">
+                ${removable ? '<button class="remove-color-btn">×</button>' : ''}
             </div>
         `).join('');
         
-        // Create custom color pickers
-        colors.forEach((color, idx) => {
-            const pickerContainer = container.querySelector(`.picker-container[data-index="${idx}"]`);
-            
-            const picker = new ColorPicker({
-                initialColor: color,
-                onChange: (newColor) => {
-                    // Live preview while dragging
-                    stateManager.updateColor(idx, newColor);
-                    const hexInput = container.querySelector(`.color-hex[data-index="${idx}"]`);
-                    if (hexInput) hexInput.value = newColor.toUpperCase();
-                    this.processImageDebounced(50);
-                },
-                onConfirm: (newColor) => {
-                    // Final color when OK pressed
-                    stateManager.updateColor(idx, newColor);
-                    this.processImage();
-                }
-            });
-            
-            picker.create(pickerContainer);
-            this.colorPickers.push(picker);
-        });
-        
-        // Hex input events
-        container.querySelectorAll('.color-hex').forEach(input => {
-            input.addEventListener('change', (e) => {
-                const idx = parseInt(e.target.dataset.index);
-                let val = e.target.value.trim();
-                if (!val.startsWith('#')) val = '#' + val;
-                if (/^#[0-9a-fA-F]{6}$/.test(val)) {
-                    stateManager.updateColor(idx, val);
-                    this.colorPickers[idx]?.setColor(val);
-                    e.target.value = val.toUpperCase();
-                    this.processImage();
-                }
+        container.querySelectorAll('.palette-row').forEach((row, idx) => {
+            this.createColorEditor(container, row, idx, colors[idx]);
+        });
+    }
+
+    /**
+     * Compact swatch grid + editor for the selected swatch (large palettes)
+     */
+    renderPaletteGrid(container, colors) {
+        const selected = Math.min(this.selectedColorIndex, colors.length - 1);
+        this.selectedColorIndex = selected;
+        
+        container.innerHTML = `
+            <div class="palette-grid">
+                ${colors.map((color, idx) => `
+                    <div class="palette-swatch${idx === selected ? ' selected' : ''}" draggable="true"
+                        data-index="${idx}" data-drag-index="${idx}" data-drop-index="${idx}"
+                        style="background: ${color}" title="${idx + 1}. ${color.toUpperCase()}"></div>
+                `).join('')}
+            </div>
+            <div class="palette-row palette-editor">
+                <div class="picker-container"></div>
+                <input type="text" class="color-hex" value="${colors[selected].toUpperCase()}">
+                <span class="palette-index">${selected + 1}.</span>
+                <button class="remove-color-btn" title="Szín törlése">×</button>
+            </div>
+        `;
+        
+        container.querySelectorAll('.palette-swatch').forEach(swatch => {
+            swatch.addEventListener('click', () => {
+                this.selectedColorIndex = parseInt(swatch.dataset.index);
+                this.renderColorPalette();
             });
         });
         
-        // Remove color events
-        container.querySelectorAll('.remove-color-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const idx = parseInt(e.target.dataset.index);
-                stateManager.removeColor(idx);
+        this.createColorEditor(container, container.querySelector('.palette-editor'), selected, colors[selected]);
+    }
+
+    /**
+     * Wire up picker, hex input and remove button of one palette row
+     */
+    createColorEditor(container, row, idx, color) {
+        const hexInput = row.querySelector('.color-hex');
+        
+        // Edits only touch the row and its swatch - a full re-render would close the open picker
+        const applyColor = (newColor) => {
+            this.isEditingColor = true;
+            stateManager.updateColor(idx, newColor);
+            this.isEditingColor = false;
+            hexInput.value = newColor.toUpperCase();
+            const swatch = container.querySelector(`.palette-swatch[data-index="${idx}"]`);
+            if (swatch) swatch.style.background = newColor;
+        };
+        
+        const picker = new ColorPicker({
+            initialColor: color,
+            onChange: (newColor) => {
+                // Live preview while dragging
+                applyColor(newColor);
+                this.processImageDebounced(50);
+            },
+            onConfirm: (newColor) => {
+                // Final color when OK pressed
+                applyColor(newColor);
+                stateManager.endHistoryGroup();
+                this.processImage();
+            }
+        });
+        
+        picker.create(row.querySelector('.picker-container'));
+        this.colorPickers.push(picker);
+        
+        hexInput.addEventListener('change', () => {
+            let val = hexInput.value.trim();
+            if (!val.startsWith('#')) val = '#' + val;
+            if (/^#[0-9a-fA-F]{6}$/.test(val)) {
+                applyColor(val);
+                picker.setColor(val);
+                this.processImage();
+            }
+        });
+        
+        row.querySelector('.remove-color-btn')?.addEventListener('click', () => {
+            if (stateManager.removeColor(idx)) {
                 this.renderColorPalette();
                 this.processImage();
-            });
+            }
+        });
+    }
+
+    // ==================== PALETTE LIBRARY ====================
+    
+    setupPaletteLibrary() {
+        const library = document.getElementById('paletteLibrary');
+        
+        document.getElementById('paletteSearch').addEventListener('input', (e) => {
+            this.renderPaletteLibrary(e.target.value);
+        });
+        
+        library.addEventListener('click', (e) => {
+            const item = e.target.closest('.library-item');
+            if (!item) return;
+            
+            // Colors only - dithering and effect settings stay as they are
+            const palette = Palettes[item.dataset.palette];
+            if (palette) {
+                this.selectedColorIndex = 0;
+                stateManager.setColors([...palette.colors]);
+                this.processImage();
+            }
+        });
+        
+        this.renderPaletteLibrary();
+    }
+
+    /**
+     * Render library entries matching the search (name, system or exact color count)
+     */
+    renderPaletteLibrary(query = '') {
+        const library = document.getElementById('paletteLibrary');
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        
+        const matches = Object.entries(Palettes).filter(([key, palette]) => {
+            const text = `${key} ${palette.name} ${palette.system}`.toLowerCase();
+            return terms.every(term => text.includes(term) || term === String(palette.colors.length));
+        });
+        
+        library.innerHTML = matches.length ? matches.map(([key, palette]) => `
+            <button class="library-item" data-palette="${key}">
+                ${palette.name}
+                <span class="library-meta">${palette.system} · ${palette.colors.length}</span>
+                <div class="library-swatches">
+                    ${palette.colors.map(c => `<div style="background: ${c}"></div>`).join('')}
+                </div>
+            </button>
+        `).join('') : '<div class="library-empty">Nincs találat</div>';
+        
+        this.updatePaletteLibraryHighlight();
+    }
+
+    /**
+     * Highlight the library entry that matches the current palette, if any
+     */
+    updatePaletteLibraryHighlight() {
+        const current = stateManager.getState().colors.map(c => c.toLowerCase()).join();
+        document.querySelectorAll('#paletteLibrary .library-item').forEach(item => {
+            const colors = Palettes[item.dataset.palette].colors.join();
+            item.classList.toggle('active', colors === current);
         });
     }
 
+    // ==================== COMPARE VIEW ====================
+    
+    setupCompareView() {
+        // The original side shows the processor's source canvas directly
+        this.compareView = new CompareView().create(
+            document.getElementById('canvasContainer'),
+            document.getElementById('outputCanvas'),
+            this.processor.sourceCanvas
+        );
+        
+        document.getElementById('viewControls').addEventListener('click', (e) => {
+            const btn = e.target.closest('.view-btn[data-view]');
+            if (btn) stateManager.setView(btn.dataset.view);
+        });
+        
+        stateManager.subscribe((state, key) => {
+            if (key === 'view') this.updateCompareView();
+        });
+        this.updateCompareView();
+    }
+
+    updateCompareView() {
+        const view = stateManager.getState().currentView;
+        this.compareView.setMode(view);
+        this.viewport?.apply(); // Side by side halves the panes
+        document.querySelectorAll('#viewControls .view-btn[data-view]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+        });
+    }
+
+    // ==================== VIEWPORT ====================
+    
+    setupViewport() {
+        this.viewport = new Viewport({
+            onChange: (view) => {
+                this.compareView.setTransform(view.transform, view.grid);
+                document.getElementById('zoomValue').textContent = Math.round(view.zoom * 100) + '%';
+            },
+            onHover: (point) => this.scheduleReadout(point),
+            // Hold mode uses the plain press itself - pan with space+drag there
+            canDrag: () => stateManager.getState().currentView !== 'hold'
+        }).create(
+            document.getElementById('canvasContainer'),
+            document.getElementById('outputCanvas'),
+            document.getElementById('minimap')
+        );
+        
+        document.getElementById('zoomInBtn').addEventListener('click', () => this.viewport.zoomBy(Viewport.ZOOM_STEP));
+        document.getElementById('zoomOutBtn').addEventListener('click', () => this.viewport.zoomBy(1 / Viewport.ZOOM_STEP));
+        document.getElementById('zoomFitBtn').addEventListener('click', () => this.viewport.reset());
+        document.getElementById('zoomActualBtn').addEventListener('click', () => {
+            const canvas = document.getElementById('outputCanvas');
+            this.viewport.zoomAt(1, canvas.offsetWidth / 2, canvas.offsetHeight / 2);
+        });
+    }
+
+    /**
+     * At most one readout update per animation frame, for the latest pointer position
+     */
+    scheduleReadout(point) {
+        this.readoutPoint = point;
+        if (this.readoutFrame) return;
+        this.readoutFrame = requestAnimationFrame(() => {
+            this.readoutFrame = null;
+            this.updatePixelReadout(this.readoutPoint);
+        });
+    }
+
+    /**
+     * Coordinates, color and palette index of the result pixel under the cursor (null hides it)
+     * Pixels off the palette (blobs, noise, blending) show the nearest index with ≈
+     */
+    updatePixelReadout(point) {
+        const readout = document.getElementById('pixelReadout');
+        if (!point) {
+            readout.style.display = 'none';
+            return;
+        }
+        
+        // The displayed canvas - during a slider drag it holds the preview, not the last full render
+        // Read back once per render, not on every pointer move
+        if (!this.outputPixels) {
+            const outputCanvas = document.getElementById('outputCanvas');
+            this.outputPixels = outputCanvas.getContext('2d')
+                .getImageData(0, 0, outputCanvas.width, outputCanvas.height);
+        }
+        const i = (point.y * this.outputPixels.width + point.x) * 4;
+        const [r, g, b] = this.outputPixels.data.subarray(i, i + 3);
+        const hex = ColorUtils.rgbToHex(r, g, b);
+        const { colors, settings } = stateManager.getState();
+        
+        let index = colors.findIndex(c => c.toLowerCase() === hex);
+        const exact = index >= 0;
+        if (!exact) {
+            index = PaletteLookup.get(colors.map(c => ColorUtils.hexToRgb(c)), settings.colorMetric).find(r, g, b);
+        }
+        
+        readout.innerHTML = `
+            <span class="readout-swatch" style="background: ${hex}"></span>
+            <span>${point.x}, ${point.y}</span>
+            <span>Index ${exact ? '' : '≈'}${index}</span>
+            <span>${hex}</span>
+        `;
+        readout.style.display = 'flex';
+    }
+
     // ==================== DOWNLOAD ====================
     
     setupDownload() {
@@ -458,69 +1525,312 @@ class PicFixerApp {
         });
         
         document.getElementById('downloadWebpBtn').addEventListener('click', () => {
-            this.downloadImage('webp');
+            this.downloadImage(document.getElementById('lossyFormat').value);
         });
+        
+        document.getElementById('downloadIndexedPngBtn').addEventListener('click', () => {
+            this.downloadImage('png8');
+        });
+        
+        document.getElementById('downloadGifBtn').addEventListener('click', () => {
+            this.downloadImage('gif');
+        });
+        
+        // Lossy format + quality; formats the browser cannot encode are disabled
+        const lossySelect = document.getElementById('lossyFormat');
+        const probe = document.createElement('canvas');
+        probe.width = probe.height = 1;
+        lossySelect.innerHTML = Object.entries(LOSSY_FORMATS).map(([key, format]) => {
+            const supported = probe.toDataURL(format.mime).startsWith(`data:${format.mime}`);
+            return `<option value="${key}" ${supported ? '' : 'disabled'}>${format.label}${supported ? '' : ' (nem támogatott)'}</option>`;
+        }).join('');
+        lossySelect.addEventListener('change', () => {
+            document.getElementById('lossyFormatLabel').textContent = `Letöltés ${LOSSY_FORMATS[lossySelect.value].label}`;
+        });
+        
+        // Export size
+        const modeSelect = document.getElementById('exportScaleMode');
+        const scaleSlider = document.getElementById('exportScale');
+        modeSelect.addEventListener('change', () => {
+            document.getElementById('exportScaleGroup').style.display = modeSelect.value === 'integer' ? 'block' : 'none';
+            document.getElementById('exportFitGroup').style.display = modeSelect.value === 'fit' ? 'block' : 'none';
+            this.updateExportSizeInfo();
+        });
+        scaleSlider.addEventListener('input', () => {
+            document.getElementById('exportScaleValue').textContent = scaleSlider.value + 'x';
+            this.updateExportSizeInfo();
+        });
+        ['exportWidth', 'exportHeight'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateExportSizeInfo());
+        });
+        
+        const transparencyToggle = document.getElementById('exportTransparencyToggle');
+        transparencyToggle.addEventListener('click', () => transparencyToggle.classList.toggle('active'));
+    }
+
+    /**
+     * Output size for the chosen export mode
+     * native = one pixel per dithered cell, integer = native × N, fit = original fitted into width × height
+     */
+    getExportSize() {
+        const original = this.processor.getDimensions();
+        const native = this.processor.getWorkingSize(stateManager.getState().settings.pixelScale);
+        
+        switch (document.getElementById('exportScaleMode').value) {
+            case 'native':
+                return native;
+            case 'integer': {
+                const factor = parseInt(document.getElementById('exportScale').value);
+                return { width: native.width * factor, height: native.height * factor };
+            }
+            case 'fit': {
+                // Either side may be left empty - the other one decides
+                const width = parseInt(document.getElementById('exportWidth').value) || 0;
+                const height = parseInt(document.getElementById('exportHeight').value) || 0;
+                if (!width && !height) return original;
+                
+                const scale = Math.min(
+                    width ? width / original.width : Infinity,
+                    height ? height / original.height : Infinity
+                );
+                return {
+                    width: Math.max(1, Math.round(original.width * scale)),
+                    height: Math.max(1, Math.round(original.height * scale))
+                };
+            }
+            default:
+                return original;
+        }
+    }
+
+    updateExportSizeInfo() {
+        const info = document.getElementById('exportSizeInfo');
+        if (!this.processor.hasImage()) {
+            info.textContent = '';
+            return;
+        }
+        
+        const { width, height } = this.getExportSize();
+        const tooLarge = width > MAX_EXPORT_SIZE || height > MAX_EXPORT_SIZE;
+        info.textContent = `Kimenet: ${width} × ${height} px` + (tooLarge ? ` - túl nagy (max. ${MAX_EXPORT_SIZE} px)` : '');
+        info.classList.toggle('too-large', tooLarge);
+    }
+
+    /**
+     * Canvas at the chosen export size: the live full-resolution result,
+     * or a dedicated render at another size (null if superseded or failed)
+     */
+    async renderExport() {
+        const size = this.getExportSize();
+        if (size.width > MAX_EXPORT_SIZE || size.height > MAX_EXPORT_SIZE) {
+            alert(`Túl nagy exportméret: ${size.width} × ${size.height} px (legfeljebb ${MAX_EXPORT_SIZE} px oldalanként).`);
+            return null;
+        }
+        
+        const original = this.processor.getDimensions();
+        if (size.width === original.width && size.height === original.height) {
+            return this.processor.processCanvas;
+        }
+        
+        const indicator = document.getElementById('processingIndicator');
+        indicator.classList.add('active');
+        try {
+            // Own job slot: live renders started meanwhile do not cancel it (only a newer export does)
+            return await this.processor.process(stateManager.getProcessingSettings(), { size });
+        } catch (error) {
+            console.error('Export render failed:', error);
+            alert('Nem sikerült a kép exportálása.');
+            return null;
+        } finally {
+            indicator.classList.remove('active');
+        }
     }
 
-    downloadImage(format = 'png') {
+    async downloadImage(format = 'png') {
         if (!this.processor.hasImage()) return;
         
-        const mimeType = format === 'webp' ? 'image/webp' : 'image/png';
-        const quality = format === 'webp' ? 0.92 : undefined;
+        // Make sure the export is the full-resolution render, not the live proxy
+        if (this.processor.lastResultIsPreview || this.settleTimer) {
+            if (!await this.processImage()) return;
+        }
+        
+        const canvas = await this.renderExport();
+        if (!canvas) return;
         
-        const dataUrl = this.processor.getDataURL(mimeType, quality);
+        if (format === 'png8' || format === 'gif') {
+            await this.downloadIndexedImage(format, canvas);
+            return;
+        }
+        
+        const lossy = LOSSY_FORMATS[format];
+        const mimeType = lossy ? lossy.mime : 'image/png';
+        const quality = lossy ? this.getLossyQuality() / 100 : undefined;
+        
+        // Browsers silently fall back to PNG for formats they cannot encode
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+        if (!blob || blob.type !== mimeType) {
+            alert(`A böngésző nem tud ${lossy ? lossy.label : 'PNG'} formátumba menteni.`);
+            return;
+        }
+        this.downloadBlob(blob, `picfixer-${Date.now()}.${lossy ? lossy.extension : 'png'}`);
+    }
+
+    /**
+     * Lossy quality in % (1-100), the default 92 when the field is empty
+     */
+    getLossyQuality() {
+        const input = document.getElementById('lossyQuality');
+        const value = parseInt(input.value);
+        const quality = Number.isNaN(value) ? 92 : Math.max(1, Math.min(100, value));
+        input.value = quality;
+        return quality;
+    }
+
+    /**
+     * Palette-indexed PNG / GIF built from the current palette
+     */
+    async downloadIndexedImage(format, canvas) {
+        const { colors, settings } = stateManager.getState();
+        const { width, height } = canvas;
+        const imageData = canvas.getContext('2d').getImageData(0, 0, width, height);
+        
+        // Transparency takes a palette slot of its own
+        const transparent = document.getElementById('exportTransparencyToggle').classList.contains('active');
+        if (transparent && colors.length >= IndexedEncoder.MAX_COLORS) {
+            alert(`Átlátszósággal legfeljebb ${IndexedEncoder.MAX_COLORS - 1} színű paletta exportálható.`);
+            return;
+        }
+        
+        try {
+            const palette = colors.map(c => ColorUtils.hexToRgb(c));
+            const indexed = IndexedEncoder.toIndexed(imageData, palette, settings.colorMetric, { transparent });
+            if (indexed.approximated && !confirm(
+                'A kép a palettán kívüli színeket is tartalmaz (blobok, zaj, keverés). ' +
+                'Az indexelt exportban ezek a legközelebbi palettaszínre cserélődnek. Folytatod?')) {
+                return;
+            }
+            
+            const blob = format === 'gif'
+                ? await IndexedEncoder.encodeGif(indexed, width, height)
+                : await IndexedEncoder.encodePng(indexed, width, height);
+            this.downloadBlob(blob, `picfixer-${Date.now()}.${format === 'gif' ? 'gif' : 'png'}`);
+        } catch (error) {
+            console.error('Indexed export failed:', error);
+            alert('Nem sikerült az indexelt kép exportálása.');
+        }
+    }
+
+    /**
+     * Save a generated file (palette, preset export...)
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
-        link.download = `picfixer-${Date.now()}.${format}`;
-        link.href = dataUrl;
+        link.download = filename;
+        link.href = url;
         link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     // ==================== IMAGE PROCESSING ====================
     
-    processImageDebounced(delay = 30) {
+    /**
+     * Live update while dragging: renders a low-res proxy,
+     * then the full resolution once input settles
+     */
+    processImageDebounced(delay = 30, settleDelay = 400) {
         clearTimeout(this.processDebounceTimer);
-        this.processDebounceTimer = setTimeout(() => this.processImage(), delay);
+        clearTimeout(this.settleTimer);
+        this.processDebounceTimer = setTimeout(() => this.processImage({ preview: true }), delay);
+        this.settleTimer = setTimeout(() => this.processImage(), settleDelay);
     }
 
-    processImage() {
-        if (!this.processor.hasImage()) return;
+    /**
+     * Size of the on-screen output area in device pixels (proxy target)
+     */
+    getPreviewBox() {
+        const outputCanvas = document.getElementById('outputCanvas');
+        const dpr = window.devicePixelRatio || 1;
+        let rect = outputCanvas.getBoundingClientRect();
+        
+        if (rect.width === 0 || rect.height === 0) {
+            rect = document.getElementById('canvasContainer').parentElement.getBoundingClientRect();
+        }
+        
+        return {
+            width: Math.ceil(rect.width * dpr),
+            height: Math.ceil(rect.height * dpr)
+        };
+    }
+
+    /**
+     * Render the image - full resolution unless options.preview is set
+     * Returns the result canvas, or null if a newer render superseded it
+     */
+    async processImage(options = {}) {
+        if (!this.processor.hasImage()) return null;
+        
+        if (!options.preview) {
+            clearTimeout(this.processDebounceTimer);
+            clearTimeout(this.settleTimer);
+            this.settleTimer = null;
+        }
         
         const startTime = performance.now();
         const indicator = document.getElementById('processingIndicator');
         indicator.classList.add('active');
         
-        // Use requestAnimationFrame for smooth UI
-        requestAnimationFrame(() => {
-            try {
-                const settings = stateManager.getProcessingSettings();
-                const resultCanvas = this.processor.process(settings);
-                
-                // Display result
-                const outputCanvas = document.getElementById('outputCanvas');
-                const placeholder = document.getElementById('placeholder');
-                
-                outputCanvas.width = resultCanvas.width;
-                outputCanvas.height = resultCanvas.height;
-                outputCanvas.getContext('2d').drawImage(resultCanvas, 0, 0);
-                
-                placeholder.style.display = 'none';
-                outputCanvas.style.display = 'block';
-                document.getElementById('downloadBtn').disabled = false;
-                document.getElementById('downloadWebpBtn').disabled = false;
-                
-                // Show processing time
-                const elapsed = (performance.now() - startTime).toFixed(0);
-                const timeDisplay = document.getElementById('processingTime');
-                const timeValue = document.getElementById('timeValue');
-                timeDisplay.style.display = 'block';
-                timeValue.textContent = elapsed + 'ms';
-                
-            } catch (err) {
-                console.error('Processing error:', err);
+        try {
+            // Runs in the processing worker; a newer call cancels this one
+            const settings = stateManager.getProcessingSettings();
+            const resultCanvas = await this.processor.process(settings, {
+                preview: options.preview ? this.getPreviewBox() : null
+            });
+            if (!resultCanvas) return null; // Superseded - the newer job updates the UI
+            
+            // Display result (proxies are stretched pixel-exact to full size)
+            const outputCanvas = document.getElementById('outputCanvas');
+            const placeholder = document.getElementById('placeholder');
+            const { width, height } = this.processor.getDimensions();
+            
+            const sizeChanged = outputCanvas.width !== width || outputCanvas.height !== height;
+            if (sizeChanged) {
+                outputCanvas.width = width;
+                outputCanvas.height = height;
             }
+            const outputCtx = outputCanvas.getContext('2d');
+            outputCtx.imageSmoothingEnabled = false;
+            outputCtx.drawImage(resultCanvas, 0, 0, width, height);
+            this.outputPixels = null;
+            
+            placeholder.style.display = 'none';
+            outputCanvas.style.display = 'block';
+            document.getElementById('viewControls').style.display = 'flex';
+            
+            // A new image starts at fit-to-screen
+            if (sizeChanged) this.viewport.reset();
+            this.viewport.refreshMinimap();
+            document.getElementById('downloadBtn').disabled = false;
+            document.getElementById('downloadWebpBtn').disabled = false;
+            document.getElementById('downloadIndexedPngBtn').disabled = false;
+            document.getElementById('downloadGifBtn').disabled = false;
+            this.updateExportSizeInfo();
+            
+            // Show processing time
+            const elapsed = (performance.now() - startTime).toFixed(0);
+            const timeDisplay = document.getElementById('processingTime');
+            const timeValue = document.getElementById('timeValue');
+            timeDisplay.style.display = 'block';
+            timeValue.textContent = elapsed + 'ms' + (options.preview ? ' (előnézet)' : '');
             
             indicator.classList.remove('active');
-        });
+            return resultCanvas;
+        } catch (err) {
+            console.error('Processing error:', err);
+        }
+        
+        indicator.classList.remove('active');
+        return null;
     }
 
     // ==================== UI SYNC ====================
@@ -529,13 +1839,23 @@ class PicFixerApp {
         const state = stateManager.getState();
         const s = state.settings;
         
+        // Tone
+        this.updateToneUI();
+        
         // Dithering
         document.getElementById('ditheringType').value = s.ditherType;
+        document.getElementById('colorMetric').value = s.colorMetric;
         document.getElementById('bayerSize').value = s.orderedMatrixSize;
         document.getElementById('bayerSizeValue').textContent = s.orderedMatrixSize;
         document.getElementById('ditheringStrength').value = s.ditherStrength;
         document.getElementById('ditheringStrengthValue').textContent = s.ditherStrength + '%';
-        document.getElementById('bayerSizeGroup').style.display = s.ditherType === 'ordered' ? 'block' : 'none';
+        document.getElementById('orderedMode').value = s.orderedMode;
+        document.getElementById('thresholdMapType').value = s.orderedMatrix;
+        document.getElementById('serpentineToggle').classList.toggle('active', s.ditherSerpentine);
+        document.getElementById('linearLightToggle').classList.toggle('active', s.ditherLinear);
+        document.getElementById('errorAttenuation').value = s.ditherErrorAttenuation;
+        document.getElementById('errorAttenuationValue').textContent = s.ditherErrorAttenuation + '%';
+        this.updateDitheringVisibility();
         document.getElementById('pixelScale').value = s.pixelScale * 10;
         document.getElementById('pixelScaleValue').textContent = s.pixelScale.toFixed(1) + 'x';
         
@@ -548,6 +1868,13 @@ class PicFixerApp {
         document.getElementById('posterizeLevelsGroup').style.display = s.posterizeEnabled ? 'block' : 'none';
         document.getElementById('posterizeModeGroup').style.display = s.posterizeEnabled ? 'block' : 'none';
         
+        // Transparency
+        document.getElementById('alphaMode').value = s.alphaMode;
+        document.getElementById('alphaThreshold').value = s.alphaThreshold;
+        document.getElementById('alphaThresholdValue').textContent = s.alphaThreshold;
+        this.updateAlphaVisibility();
+        this.renderAlphaBackgroundSwatches();
+        
         // Blob
         const blobToggle = document.getElementById('blobToggle');
         blobToggle.classList.toggle('active', s.blobEnabled);
@@ -571,8 +1898,12 @@ class PicFixerApp {
         document.getElementById('noiseAmountValue').textContent = s.noiseAmount;
         document.getElementById('noiseAmountGroup').style.display = s.noiseEnabled ? 'block' : 'none';
         
+        // Seed
+        document.getElementById('seedInput').value = s.seed;
+        
         // Color palette
         this.renderColorPalette();
+        this.updatePaletteLibraryHighlight();
     }
 }
 
@@ -0,0 +1,145 @@
+/**
+ * Batch Queue Component
+ * Thumbnail list of queued images with per-file status, progress and errors
+ */
+
+const STATUS_LABELS = {
+    queued: 'Várakozik',
+    loading: 'Betöltés...',
+    processing: 'Feldolgozás...',
+    encoding: 'Kódolás...',
+    done: 'Kész',
+    error: 'Hiba'
+};
+
+export class BatchQueue {
+    constructor(options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.items = [];
+        this.nextId = 1;
+        this.element = null;
+    }
+
+    /**
+     * Create queue element
+     */
+    create(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'batch-queue';
+        container.appendChild(this.element);
+
+        this.element.addEventListener('click', (e) => {
+            const btn = e.target.closest('.batch-remove');
+            if (btn) this.remove(parseInt(btn.dataset.id));
+        });
+
+        return this;
+    }
+
+    /**
+     * Queue image files
+     */
+    add(files) {
+        for (const file of files) {
+            this.items.push({
+                id: this.nextId++,
+                file,
+                thumbUrl: URL.createObjectURL(file),
+                status: 'queued',
+                progress: 0,
+                error: null
+            });
+        }
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * Remove one file from the queue
+     */
+    remove(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+
+        URL.revokeObjectURL(item.thumbUrl);
+        this.items = this.items.filter(i => i !== item);
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * Remove every file
+     */
+    clear() {
+        this.items.forEach(item => URL.revokeObjectURL(item.thumbUrl));
+        this.items = [];
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * Update status / progress / error of one file (only its row is touched)
+     */
+    update(id, changes) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+        Object.assign(item, changes);
+
+        const row = this.element.querySelector(`.batch-item[data-id="${id}"]`);
+        if (row) row.replaceWith(this.renderItem(item));
+        this.onChange();
+    }
+
+    /**
+     * Count of files per status
+     */
+    getCounts() {
+        const counts = { total: this.items.length, done: 0, error: 0 };
+        this.items.forEach(item => {
+            if (item.status === 'done') counts.done++;
+            if (item.status === 'error') counts.error++;
+        });
+        return counts;
+    }
+
+    render() {
+        this.element.replaceChildren(...this.items.map(item => this.renderItem(item)));
+    }
+
+    /**
+     * Row element for one file - file names and error messages are set as text, never markup
+     */
+    renderItem(item) {
+        const label = item.status === 'error' && item.error
+            ? `${STATUS_LABELS.error}: ${item.error}`
+            : STATUS_LABELS[item.status];
+
+        const template = document.createElement('template');
+        template.innerHTML = `
+            <div class="batch-item ${item.status}" data-id="${item.id}">
+                <img class="batch-thumb" src="${item.thumbUrl}" alt="">
+                <div class="batch-info">
+                    <div class="batch-name"></div>
+                    <div class="batch-status"></div>
+                    <div class="batch-progress"><div style="width: ${Math.round(item.progress * 100)}%"></div></div>
+                </div>
+                <button class="batch-remove" data-id="${item.id}" title="Eltávolítás">×</button>
+            </div>
+        `.trim();
+
+        const row = template.content.firstElementChild;
+        const name = row.querySelector('.batch-name');
+        name.textContent = item.file.name;
+        name.title = item.file.name;
+        row.querySelector('.batch-status').textContent = label;
+        return row;
+    }
+
+    /**
+     * Remove element and release thumbnails
+     */
+    destroy() {
+        this.items.forEach(item => URL.revokeObjectURL(item.thumbUrl));
+        this.element?.remove();
+    }
+}
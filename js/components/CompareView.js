@@ -0,0 +1,144 @@
+/**
+ * Compare View Component
+ * Before/after layouts around the output canvas: split divider, side by side,
+ * or press-and-hold to show the original
+ */
+
+export class CompareView {
+    // 'processed' = result only, no comparison
+    static MODES = ['processed', 'split', 'side-by-side', 'hold'];
+
+    constructor(options = {}) {
+        this.mode = 'processed';
+        this.split = options.split ?? 50; // Divider position in % from the left
+        this.isHolding = false;
+        this.isDraggingDivider = false;
+
+        this.container = null;
+        this.processedPane = null;
+        this.originalPane = null;
+        this.divider = null;
+    }
+
+    /**
+     * Wrap the output canvas and add the original pane + divider
+     * original: canvas holding the unprocessed image (kept in sync by its owner)
+     */
+    create(container, outputCanvas, original) {
+        this.container = container;
+
+        this.processedPane = document.createElement('div');
+        this.processedPane.className = 'compare-pane compare-processed';
+        outputCanvas.before(this.processedPane);
+        this.processedPane.append(outputCanvas, this.createGrid(), this.createLabel('Feldolgozott'));
+
+        this.originalPane = document.createElement('div');
+        this.originalPane.className = 'compare-pane compare-original';
+        original.classList.add('compare-original-canvas');
+        this.originalPane.append(original, this.createGrid(), this.createLabel('Eredeti'));
+        this.processedPane.before(this.originalPane);
+
+        this.divider = document.createElement('div');
+        this.divider.className = 'compare-divider';
+        this.divider.innerHTML = '<div class="compare-handle">⇔</div>';
+        container.appendChild(this.divider);
+
+        this.setupEvents();
+        this.update();
+        return this;
+    }
+
+    createGrid() {
+        const grid = document.createElement('div');
+        grid.className = 'pixel-grid';
+        return grid;
+    }
+
+    createLabel(text) {
+        const label = document.createElement('div');
+        label.className = 'compare-label';
+        label.textContent = text;
+        return label;
+    }
+
+    setupEvents() {
+        // Split: drag the divider
+        this.divider.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.isDraggingDivider = true;
+            this.divider.setPointerCapture(e.pointerId);
+        });
+        this.divider.addEventListener('pointermove', (e) => {
+            if (!this.isDraggingDivider) return;
+            const rect = this.processedPane.getBoundingClientRect();
+            this.setSplit((e.clientX - rect.left) / rect.width * 100);
+        });
+        const endDrag = () => { this.isDraggingDivider = false; };
+        this.divider.addEventListener('pointerup', endDrag);
+        this.divider.addEventListener('pointercancel', endDrag);
+
+        // Hold: original while the pointer is pressed on the image (unless a pan claimed the press)
+        this.container.addEventListener('pointerdown', (e) => {
+            if (this.mode !== 'hold' || e.button !== 0 || e.defaultPrevented) return;
+            this.isHolding = true;
+            this.container.setPointerCapture(e.pointerId);
+            this.update();
+        });
+        const release = () => {
+            if (!this.isHolding) return;
+            this.isHolding = false;
+            this.update();
+        };
+        this.container.addEventListener('pointerup', release);
+        this.container.addEventListener('pointercancel', release);
+    }
+
+    /**
+     * Switch layout (one of MODES)
+     */
+    setMode(mode) {
+        this.mode = CompareView.MODES.includes(mode) ? mode : 'processed';
+        this.isHolding = false;
+        this.update();
+    }
+
+    /**
+     * Move the split divider (percent from the left)
+     */
+    setSplit(percent) {
+        this.split = Math.max(0, Math.min(100, percent));
+        this.update();
+    }
+
+    /**
+     * Zoom / pan transform applied to both sides so they stay aligned
+     * grid: { size, x, y } pixel grid cell size and offset in display pixels, or null to hide it
+     */
+    setTransform(transform, grid = null) {
+        for (const pane of [this.processedPane, this.originalPane]) {
+            pane.querySelector('canvas').style.transform = transform;
+
+            const overlay = pane.querySelector('.pixel-grid');
+            overlay.style.display = grid ? 'block' : 'none';
+            if (grid) {
+                overlay.style.backgroundSize = `${grid.size}px ${grid.size}px`;
+                overlay.style.backgroundPosition = `${grid.x}px ${grid.y}px`;
+            }
+        }
+    }
+
+    update() {
+        const mode = this.mode;
+        const showOriginal = mode === 'split' || mode === 'side-by-side' || (mode === 'hold' && this.isHolding);
+
+        this.container.classList.toggle('compare-side-by-side', mode === 'side-by-side');
+        this.container.classList.toggle('compare-overlay', mode === 'split' || mode === 'hold');
+        this.container.classList.toggle('compare-labels', mode !== 'processed');
+        this.originalPane.style.display = showOriginal ? '' : 'none';
+
+        // Split: the original covers the part left of the divider
+        this.originalPane.style.clipPath = mode === 'split' ? `inset(0 ${100 - this.split}% 0 0)` : '';
+        this.divider.style.display = mode === 'split' ? '' : 'none';
+        this.divider.style.left = `${this.split}%`;
+    }
+}
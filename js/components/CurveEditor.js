@@ -0,0 +1,178 @@
+/**
+ * Curve Editor Component
+ * Tone curve on a canvas: drag points, click to add one, double-click to remove it
+ * The first and last points can only move vertically
+ */
+
+import { ToneAdjust } from '../core/ToneAdjust.js';
+
+export class CurveEditor {
+    // Grab radius around a point in canvas pixels
+    static HIT_RADIUS = 10;
+
+    constructor(options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.onCommit = options.onCommit || (() => {});
+
+        this.points = ToneAdjust.DEFAULTS.toneCurve.map(p => [...p]);
+        this.dragIndex = null;
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    /**
+     * Attach to a (square) canvas
+     */
+    create(canvas) {
+        this.canvas = canvas;
+        this.canvas.width = 256;
+        this.canvas.height = 256;
+        this.ctx = canvas.getContext('2d');
+
+        this.setupEvents();
+        this.draw();
+        return this;
+    }
+
+    setupEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            const point = this.getPoint(e);
+            let index = this.findPoint(point);
+
+            // Click on the curve area adds a point there
+            if (index === null) {
+                if (this.points.length >= ToneAdjust.MAX_CURVE_POINTS) return;
+                index = this.points.findIndex(p => p[0] > point.x);
+                if (index <= 0 || this.points.some(p => p[0] === point.x)) return;
+                this.points.splice(index, 0, [point.x, point.y]);
+                this.changed();
+            }
+
+            this.dragIndex = index;
+            this.canvas.setPointerCapture(e.pointerId);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.dragIndex === null) return;
+            this.movePoint(this.dragIndex, this.getPoint(e));
+        });
+
+        const endDrag = () => {
+            if (this.dragIndex === null) return;
+            this.dragIndex = null;
+            this.onCommit(this.getPoints());
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+
+        this.canvas.addEventListener('dblclick', (e) => {
+            const index = this.findPoint(this.getPoint(e));
+            if (index === null || index === 0 || index === this.points.length - 1) return;
+            this.points.splice(index, 1);
+            this.changed();
+            this.onCommit(this.getPoints());
+        });
+    }
+
+    /**
+     * Pointer position in curve coordinates (0-255, y up)
+     */
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const clamp = (v) => Math.max(0, Math.min(255, Math.round(v)));
+        return {
+            x: clamp((e.clientX - rect.left) / rect.width * 255),
+            y: clamp(255 - (e.clientY - rect.top) / rect.height * 255)
+        };
+    }
+
+    /**
+     * Index of the point under a position, or null
+     */
+    findPoint({ x, y }) {
+        const scale = 255 / (this.canvas.getBoundingClientRect().width || 255);
+        const radius = CurveEditor.HIT_RADIUS * scale;
+        const index = this.points.findIndex(p => Math.hypot(p[0] - x, p[1] - y) <= radius);
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Move a point, keeping x strictly between its neighbours (endpoints keep their x)
+     */
+    movePoint(index, { x, y }) {
+        const last = this.points.length - 1;
+        const point = this.points[index];
+
+        if (index > 0 && index < last) {
+            point[0] = Math.max(this.points[index - 1][0] + 1, Math.min(this.points[index + 1][0] - 1, x));
+        }
+        point[1] = y;
+        this.changed();
+    }
+
+    changed() {
+        this.draw();
+        this.onChange(this.getPoints());
+    }
+
+    /**
+     * Copy of the control points ([[x, y], ...])
+     */
+    getPoints() {
+        return this.points.map(p => [...p]);
+    }
+
+    /**
+     * Show a curve from the state (ignored while dragging)
+     */
+    setPoints(points) {
+        if (this.dragIndex !== null) return;
+        this.points = points.map(p => [...p]);
+        this.draw();
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        const size = this.canvas.width;
+        const style = getComputedStyle(this.canvas);
+        const accent = style.getPropertyValue('--accent').trim() || '#6366f1';
+        const border = style.getPropertyValue('--border').trim() || '#2d2d3a';
+
+        ctx.clearRect(0, 0, size, size);
+
+        // Quarter grid + neutral diagonal
+        ctx.strokeStyle = border;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 4; i++) {
+            const pos = Math.round(size * i / 4) + 0.5;
+            ctx.moveTo(pos, 0);
+            ctx.lineTo(pos, size);
+            ctx.moveTo(0, pos);
+            ctx.lineTo(size, pos);
+        }
+        ctx.moveTo(0, size);
+        ctx.lineTo(size, 0);
+        ctx.stroke();
+
+        // Curve from the same LUT the pipeline uses
+        const lut = ToneAdjust.curveLut(this.points);
+        ctx.strokeStyle = accent;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let x = 0; x < 256; x++) {
+            const y = size - lut[x] * size / 255;
+            if (x === 0) ctx.moveTo(0, y);
+            else ctx.lineTo(x * size / 255, y);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = accent;
+        for (const [x, y] of this.points) {
+            ctx.beginPath();
+            ctx.arc(x * size / 255, size - y * size / 255, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * Viewport Component
+ * Zoom (fit to screen up to 32x) and pan for the output area, with a minimap
+ * Wheel zooms around the cursor, drag or space+drag pans
+ */
+
+export class Viewport {
+    // Largest zoom in screen pixels per image pixel
+    static MAX_ZOOM = 32;
+
+    // Pixel grid appears from this zoom on
+    static GRID_MIN_ZOOM = 8;
+
+    // Zoom factor of one button / keyboard step
+    static ZOOM_STEP = 2;
+
+    // Minimap longest side in CSS pixels
+    static MINIMAP_SIZE = 160;
+
+    constructor(options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.onHover = options.onHover || (() => {});
+        // Whether a plain drag (without space) may pan - e.g. not while it shows the original
+        this.canDrag = options.canDrag || (() => true);
+
+        // Scale relative to fit (1 = fit) and translation in display pixels
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+
+        this.spaceDown = false;
+        this.pan = null;
+        this.container = null;
+        this.canvas = null;
+        this.minimap = null;
+    }
+
+    /**
+     * Attach to the output container; canvas is the (untransformed) output canvas used for measuring
+     */
+    create(container, canvas, minimap) {
+        this.container = container;
+        this.canvas = canvas;
+        this.minimap = minimap;
+        this.minimapCanvas = minimap.querySelector('canvas');
+        this.minimapView = minimap.querySelector('.minimap-view');
+
+        this.setupEvents();
+        this.apply();
+        return this;
+    }
+
+    setupEvents() {
+        this.container.addEventListener('wheel', (e) => {
+            if (!this.hasImage()) return;
+            e.preventDefault();
+            const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+            const point = this.getPanePoint(e);
+            this.zoomAt(this.getZoom() * Math.exp(-delta * 0.002), point.x, point.y);
+        }, { passive: false });
+
+        // Capture phase: a pan claims the press before the compare view's hold mode sees it
+        this.container.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || this.scale <= 1 || e.target.closest('.compare-divider')) return;
+            if (!this.spaceDown && !this.canDrag(e)) return;
+
+            e.preventDefault();
+            this.pan = { id: e.pointerId, x: e.clientX, y: e.clientY };
+            this.container.setPointerCapture(e.pointerId);
+            this.container.classList.add('panning');
+        }, true);
+
+        this.container.addEventListener('pointermove', (e) => {
+            if (this.pan && this.pan.id === e.pointerId) {
+                this.panBy(e.clientX - this.pan.x, e.clientY - this.pan.y);
+                this.pan.x = e.clientX;
+                this.pan.y = e.clientY;
+            }
+            this.onHover(this.getImagePoint(e));
+        });
+
+        const endPan = (e) => {
+            if (!this.pan || this.pan.id !== e.pointerId) return;
+            this.pan = null;
+            this.container.classList.remove('panning');
+        };
+        this.container.addEventListener('pointerup', endPan);
+        this.container.addEventListener('pointercancel', endPan);
+        this.container.addEventListener('pointerleave', () => this.onHover(null));
+
+        // Space held = pan mode (form controls keep their own space handling)
+        document.addEventListener('keydown', (e) => {
+            if (e.code !== 'Space' || this.isFormControl(e.target) || !this.hasImage()) return;
+            e.preventDefault();
+            this.spaceDown = true;
+            this.container.classList.add('space-pan');
+        });
+        document.addEventListener('keyup', (e) => {
+            if (e.code !== 'Space') return;
+            this.spaceDown = false;
+            this.container.classList.remove('space-pan');
+        });
+
+        // Minimap: click or drag to move the view
+        this.minimap.addEventListener('pointerdown', (e) => {
+            this.minimap.setPointerCapture(e.pointerId);
+            this.centerOnMinimap(e);
+        });
+        this.minimap.addEventListener('pointermove', (e) => {
+            if (this.minimap.hasPointerCapture(e.pointerId)) this.centerOnMinimap(e);
+        });
+
+        window.addEventListener('resize', () => this.apply());
+    }
+
+    isFormControl(target) {
+        return ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(target.tagName) || target.isContentEditable;
+    }
+
+    hasImage() {
+        return this.canvas.offsetWidth > 0 && this.canvas.width > 1;
+    }
+
+    /**
+     * Display pixels per image pixel at fit
+     */
+    getFit() {
+        return this.canvas.offsetWidth / this.canvas.width || 1;
+    }
+
+    /**
+     * Current zoom in screen pixels per image pixel
+     */
+    getZoom() {
+        return this.scale * this.getFit();
+    }
+
+    /**
+     * Zoom to a level, keeping the display point (px, py) in place
+     */
+    zoomAt(zoom, px, py) {
+        const fit = this.getFit();
+        const scale = Math.max(1, Math.min(Viewport.MAX_ZOOM / fit, zoom / fit));
+        const ratio = scale / this.scale;
+
+        this.x = px - (px - this.x) * ratio;
+        this.y = py - (py - this.y) * ratio;
+        this.scale = scale;
+        this.apply();
+    }
+
+    /**
+     * Zoom in / out one step around the center
+     */
+    zoomBy(factor) {
+        this.zoomAt(this.getZoom() * factor, this.canvas.offsetWidth / 2, this.canvas.offsetHeight / 2);
+    }
+
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.apply();
+    }
+
+    /**
+     * Back to fit-to-screen
+     */
+    reset() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.apply();
+    }
+
+    /**
+     * Keep the image covering the viewport, then push the transform out
+     */
+    apply() {
+        const width = this.canvas.offsetWidth;
+        const height = this.canvas.offsetHeight;
+        this.x = Math.min(0, Math.max(width - width * this.scale, this.x));
+        this.y = Math.min(0, Math.max(height - height * this.scale, this.y));
+
+        const zoom = this.getZoom();
+        const zoomed = this.scale > 1;
+        this.container.classList.toggle('zoomed', zoomed);
+
+        this.onChange({
+            zoom,
+            zoomed,
+            transform: zoomed ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})` : '',
+            // Grid cell = one image pixel in display pixels
+            grid: zoom >= Viewport.GRID_MIN_ZOOM ? { size: zoom, x: this.x, y: this.y } : null
+        });
+        if (!zoomed) this.onHover(null);
+        this.updateMinimap();
+    }
+
+    /**
+     * Pointer position inside the pane under it (display pixels, untransformed)
+     */
+    getPanePoint(e) {
+        const pane = e.target.closest?.('.compare-pane') || this.canvas.parentElement;
+        const rect = pane.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * Image pixel under the pointer, or null outside the image / at fit
+     */
+    getImagePoint(e) {
+        if (this.scale <= 1 || !this.hasImage()) return null;
+
+        const point = this.getPanePoint(e);
+        const zoom = this.getZoom();
+        const x = Math.floor((point.x - this.x) / zoom);
+        const y = Math.floor((point.y - this.y) / zoom);
+        if (x < 0 || y < 0 || x >= this.canvas.width || y >= this.canvas.height) return null;
+        return { x, y };
+    }
+
+    /**
+     * Redraw the minimap thumbnail from the output canvas
+     */
+    refreshMinimap() {
+        if (!this.hasImage()) return;
+
+        const ratio = Viewport.MINIMAP_SIZE / Math.max(this.canvas.width, this.canvas.height);
+        this.minimapCanvas.width = Math.max(1, Math.round(this.canvas.width * ratio));
+        this.minimapCanvas.height = Math.max(1, Math.round(this.canvas.height * ratio));
+        this.minimapCanvas.getContext('2d').drawImage(
+            this.canvas, 0, 0, this.minimapCanvas.width, this.minimapCanvas.height);
+        this.updateMinimap();
+    }
+
+    /**
+     * Visible region rectangle on the minimap (only shown while zoomed)
+     */
+    updateMinimap() {
+        this.minimap.style.display = this.scale > 1 ? 'block' : 'none';
+        if (this.scale <= 1) return;
+
+        const width = this.canvas.offsetWidth;
+        const height = this.canvas.offsetHeight;
+        const style = this.minimapView.style;
+        style.left = `${-this.x / (width * this.scale) * 100}%`;
+        style.top = `${-this.y / (height * this.scale) * 100}%`;
+        style.width = `${100 / this.scale}%`;
+        style.height = `${100 / this.scale}%`;
+    }
+
+    /**
+     * Center the view on the minimap point under the pointer
+     */
+    centerOnMinimap(e) {
+        const rect = this.minimapCanvas.getBoundingClientRect();
+        const width = this.canvas.offsetWidth;
+        const height = this.canvas.offsetHeight;
+        const fx = (e.clientX - rect.left) / rect.width;
+        const fy = (e.clientY - rect.top) / rect.height;
+
+        this.x = width / 2 - fx * width * this.scale;
+        this.y = height / 2 - fy * height * this.scale;
+        this.apply();
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * CanvasUtils - Canvas helpers that work on the main thread and in workers
+ */
+
+export class CanvasUtils {
+    /**
+     * Create a scratch canvas
+     * Uses a DOM canvas when available, OffscreenCanvas inside workers
+     */
+    static createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return new OffscreenCanvas(width, height);
+    }
+
+    /**
+     * Create a canvas holding the given ImageData
+     */
+    static fromImageData(imageData) {
+        const canvas = this.createCanvas(imageData.width, imageData.height);
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Copy ImageData into a new, independent buffer
+     */
+    static cloneImageData(imageData) {
+        return new ImageData(
+            new Uint8ClampedArray(imageData.data),
+            imageData.width,
+            imageData.height
+        );
+    }
+}
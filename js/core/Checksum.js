@@ -0,0 +1,38 @@
+/**
+ * Checksum - CRC-32 and Adler-32 for the ZIP, PNG and zlib writers
+ */
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+export class Checksum {
+    /**
+     * CRC-32 of a byte array; pass the previous result as `crc` to continue a running checksum
+     */
+    static crc32(bytes, crc = 0) {
+        crc ^= 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Adler-32 of a byte array (zlib trailer)
+     */
+    static adler32(bytes) {
+        let a = 1, b = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+}
@@ -3,7 +3,25 @@
  * High-performance color operations for image processing
  */
 
+// sRGB byte -> linear light (0-1) lookup
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Linear light (0-1, 4096 steps) -> sRGB channel (0-255 float) lookup
+const LINEAR_STEPS = 4095;
+const LINEAR_TO_SRGB = new Float32Array(LINEAR_STEPS + 1);
+for (let i = 0; i <= LINEAR_STEPS; i++) {
+    const c = i / LINEAR_STEPS;
+    LINEAR_TO_SRGB[i] = (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055) * 255;
+}
+
 export class ColorUtils {
+    // Available color distance metrics (used for nearest palette color)
+    static METRICS = ['weighted', 'rgb', 'redmean', 'cie76', 'oklab', 'ciede2000'];
+
     /**
      * Convert hex color to RGB array [r, g, b]
      * This format is used for dithering algorithms
@@ -50,25 +68,245 @@ export class ColorUtils {
 
     /**
      * Calculate squared color distance (no sqrt for speed)
+     * metric: one of METRICS - Lab-based metrics convert both colors on every call,
+     * so prefer PaletteLookup (or createMatcher) in loops
      */
-    static colorDistanceSq(r1, g1, b1, r2, g2, b2) {
+    static colorDistanceSq(r1, g1, b1, r2, g2, b2, metric = 'weighted') {
         const dr = r1 - r2;
         const dg = g1 - g2;
         const db = b1 - b2;
-        // Weighted by human perception
-        return dr * dr * 0.3 + dg * dg * 0.59 + db * db * 0.11;
+        
+        switch (metric) {
+            case 'rgb':
+                return dr * dr + dg * dg + db * db;
+            case 'redmean': {
+                // Cheap low-cost approximation that tracks perception much better than plain RGB
+                const rMean = (r1 + r2) / 2;
+                return (2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db;
+            }
+            case 'cie76':
+                return this.euclideanSq(this.rgbToLab(r1, g1, b1), this.rgbToLab(r2, g2, b2));
+            case 'oklab':
+                return this.euclideanSq(this.rgbToOklab(r1, g1, b1), this.rgbToOklab(r2, g2, b2));
+            case 'ciede2000': {
+                const dE = this.ciede2000(this.rgbToLab(r1, g1, b1), this.rgbToLab(r2, g2, b2));
+                return dE * dE;
+            }
+            default:
+                // Weighted by human perception
+                return dr * dr * 0.3 + dg * dg * 0.59 + db * db * 0.11;
+        }
+    }
+
+    /**
+     * Build a nearest-color function for a palette: (r, g, b) => palette index
+     * Palette colors are converted to the metric's color space once, up front
+     */
+    static createMatcher(palette, metric = 'weighted') {
+        const count = palette.length;
+        
+        if (metric === 'cie76' || metric === 'oklab' || metric === 'ciede2000') {
+            const convert = metric === 'oklab'
+                ? (r, g, b) => this.rgbToOklab(r, g, b)
+                : (r, g, b) => this.rgbToLab(r, g, b);
+            const distance = metric === 'ciede2000'
+                ? (a, b) => this.ciede2000(a, b)
+                : (a, b) => this.euclideanSq(a, b);
+            const points = palette.map(([r, g, b]) => convert(r, g, b));
+            
+            return (r, g, b) => {
+                const p = convert(r, g, b);
+                let minDist = Infinity;
+                let closest = 0;
+                for (let i = 0; i < count; i++) {
+                    const dist = distance(p, points[i]);
+                    if (dist < minDist) {
+                        minDist = dist;
+                        closest = i;
+                    }
+                }
+                return closest;
+            };
+        }
+        
+        return (r, g, b) => {
+            let minDist = Infinity;
+            let closest = 0;
+            for (let i = 0; i < count; i++) {
+                const [pr, pg, pb] = palette[i];
+                const dist = this.colorDistanceSq(r, g, b, pr, pg, pb, metric);
+                if (dist < minDist) {
+                    minDist = dist;
+                    closest = i;
+                }
+            }
+            return closest;
+        };
+    }
+
+    /**
+     * sRGB channel (0-255, any float) to linear light (0-1)
+     */
+    static srgbToLinear(value) {
+        return SRGB_TO_LINEAR[Math.round(this.clamp(value))];
+    }
+
+    /**
+     * Linear light (0-1, out of range is clamped) to sRGB channel (0-255 float)
+     */
+    static linearToSrgb(value) {
+        return LINEAR_TO_SRGB[Math.round(Math.max(0, Math.min(1, value)) * LINEAR_STEPS)];
+    }
+
+    /**
+     * sRGB to CIELAB (D65) [L, a, b]
+     */
+    static rgbToLab(r, g, b) {
+        const lr = this.srgbToLinear(r);
+        const lg = this.srgbToLinear(g);
+        const lb = this.srgbToLinear(b);
+        
+        // Linear sRGB -> XYZ, normalized to the D65 white point
+        const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+        const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+        const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+        
+        const f = t => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+        
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    /**
+     * CIELAB (D65) to sRGB [r, g, b] (0-255, clamped)
+     */
+    static labToRgb(L, a, b) {
+        const fy = (L + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+
+        const finv = t => t > 0.206893 ? t * t * t : (t - 16 / 116) / 7.787;
+        const x = finv(fx) * 0.95047;
+        const y = finv(fy);
+        const z = finv(fz) * 1.08883;
+
+        // XYZ -> linear sRGB -> gamma encoded
+        const lr = x * 3.2404542 - y * 1.5371385 - z * 0.4985314;
+        const lg = -x * 0.9692660 + y * 1.8760108 + z * 0.0415560;
+        const lb = x * 0.0556434 - y * 0.2040259 + z * 1.0572252;
+
+        const encode = c => {
+            const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+            return this.clamp(Math.round(v * 255));
+        };
+
+        return [encode(lr), encode(lg), encode(lb)];
+    }
+
+    /**
+     * sRGB to OKLab [L, a, b]
+     */
+    static rgbToOklab(r, g, b) {
+        const lr = this.srgbToLinear(r);
+        const lg = this.srgbToLinear(g);
+        const lb = this.srgbToLinear(b);
+        
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+        
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ];
+    }
+
+    /**
+     * Squared Euclidean distance between two 3-component vectors
+     */
+    static euclideanSq(a, b) {
+        const d0 = a[0] - b[0];
+        const d1 = a[1] - b[1];
+        const d2 = a[2] - b[2];
+        return d0 * d0 + d1 * d1 + d2 * d2;
+    }
+
+    /**
+     * CIEDE2000 color difference between two Lab colors
+     */
+    static ciede2000([L1, a1, b1], [L2, a2, b2]) {
+        const rad = Math.PI / 180;
+        
+        const C1 = Math.hypot(a1, b1);
+        const C2 = Math.hypot(a2, b2);
+        const cBar7 = Math.pow((C1 + C2) / 2, 7);
+        const G = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + 6103515625))); // 25^7
+        
+        const a1p = a1 * (1 + G);
+        const a2p = a2 * (1 + G);
+        const C1p = Math.hypot(a1p, b1);
+        const C2p = Math.hypot(a2p, b2);
+        const hue = (b, a) => {
+            if (a === 0 && b === 0) return 0;
+            const h = Math.atan2(b, a) / rad;
+            return h < 0 ? h + 360 : h;
+        };
+        const h1p = hue(b1, a1p);
+        const h2p = hue(b2, a2p);
+        
+        const dLp = L2 - L1;
+        const dCp = C2p - C1p;
+        let dhp = 0;
+        if (C1p * C2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+        
+        const LBarp = (L1 + L2) / 2;
+        const CBarp = (C1p + C2p) / 2;
+        let hBarp = h1p + h2p;
+        if (C1p * C2p !== 0) {
+            if (Math.abs(h1p - h2p) > 180) {
+                hBarp += h1p + h2p < 360 ? 360 : -360;
+            }
+            hBarp /= 2;
+        }
+        
+        const T = 1
+            - 0.17 * Math.cos((hBarp - 30) * rad)
+            + 0.24 * Math.cos(2 * hBarp * rad)
+            + 0.32 * Math.cos((3 * hBarp + 6) * rad)
+            - 0.20 * Math.cos((4 * hBarp - 63) * rad);
+        const dTheta = 30 * Math.exp(-Math.pow((hBarp - 275) / 25, 2));
+        const CBarp7 = Math.pow(CBarp, 7);
+        const RC = 2 * Math.sqrt(CBarp7 / (CBarp7 + 6103515625));
+        const lTerm = (LBarp - 50) * (LBarp - 50);
+        const SL = 1 + (0.015 * lTerm) / Math.sqrt(20 + lTerm);
+        const SC = 1 + 0.045 * CBarp;
+        const SH = 1 + 0.015 * CBarp * T;
+        const RT = -Math.sin(2 * dTheta * rad) * RC;
+        
+        const l = dLp / SL;
+        const c = dCp / SC;
+        const h = dHp / SH;
+        return Math.sqrt(l * l + c * c + h * h + RT * c * h);
     }
 
     /**
      * Find closest color in palette (optimized)
      */
-    static findClosestColor(r, g, b, palette) {
+    static findClosestColor(r, g, b, palette, metric = 'weighted') {
         let minDist = Infinity;
         let closest = palette[0];
         
         for (let i = 0; i < palette.length; i++) {
             const [pr, pg, pb] = palette[i];
-            const dist = this.colorDistanceSq(r, g, b, pr, pg, pb);
+            const dist = this.colorDistanceSq(r, g, b, pr, pg, pb, metric);
             if (dist < minDist) {
                 minDist = dist;
                 closest = palette[i];
@@ -77,6 +315,24 @@ export class ColorUtils {
         return closest;
     }
 
+    /**
+     * Find index of closest color in palette
+     */
+    static findClosestIndex(r, g, b, palette, metric = 'weighted') {
+        let minDist = Infinity;
+        let closest = 0;
+        
+        for (let i = 0; i < palette.length; i++) {
+            const [pr, pg, pb] = palette[i];
+            const dist = this.colorDistanceSq(r, g, b, pr, pg, pb, metric);
+            if (dist < minDist) {
+                minDist = dist;
+                closest = i;
+            }
+        }
+        return closest;
+    }
+
     /**
      * Sort palette by luminance (darkest to lightest)
      */
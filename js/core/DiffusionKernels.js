@@ -0,0 +1,87 @@
+/**
+ * DiffusionKernels - Error-diffusion kernel registry
+ * Each kernel lists [dx, dy, weight] neighbours (dy >= 0, dx > 0 on the current row);
+ * the error pushed to a neighbour is weight / divisor
+ */
+
+export const DiffusionKernels = {
+    'floyd-steinberg': {
+        name: 'Floyd-Steinberg',
+        divisor: 16,
+        offsets: [
+            [1, 0, 7],
+            [-1, 1, 3], [0, 1, 5], [1, 1, 1]
+        ]
+    },
+    'false-floyd-steinberg': {
+        name: 'False Floyd-Steinberg',
+        divisor: 8,
+        offsets: [
+            [1, 0, 3],
+            [0, 1, 3], [1, 1, 2]
+        ]
+    },
+    'jarvis-judice-ninke': {
+        name: 'Jarvis-Judice-Ninke',
+        divisor: 48,
+        offsets: [
+            [1, 0, 7], [2, 0, 5],
+            [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+            [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+        ]
+    },
+    stucki: {
+        name: 'Stucki',
+        divisor: 42,
+        offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2],
+            [-2, 2, 1], [-1, 2, 2], [0, 2, 4], [1, 2, 2], [2, 2, 1]
+        ]
+    },
+    burkes: {
+        name: 'Burkes',
+        divisor: 32,
+        offsets: [
+            [1, 0, 8], [2, 0, 4],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 8], [1, 1, 4], [2, 1, 2]
+        ]
+    },
+    'sierra-3': {
+        name: 'Sierra-3',
+        divisor: 32,
+        offsets: [
+            [1, 0, 5], [2, 0, 3],
+            [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+            [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+        ]
+    },
+    'sierra-2': {
+        name: 'Sierra-2',
+        divisor: 16,
+        offsets: [
+            [1, 0, 4], [2, 0, 3],
+            [-2, 1, 1], [-1, 1, 2], [0, 1, 3], [1, 1, 2], [2, 1, 1]
+        ]
+    },
+    'sierra-lite': {
+        name: 'Sierra Lite',
+        divisor: 4,
+        offsets: [
+            [1, 0, 2],
+            [-1, 1, 1], [0, 1, 1]
+        ]
+    },
+    atkinson: {
+        // Distributes only 6/8 of the error for higher contrast (classic Mac look)
+        name: 'Atkinson',
+        divisor: 8,
+        offsets: [
+            [1, 0, 1], [2, 0, 1],
+            [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+            [0, 2, 1]
+        ]
+    }
+};
+
+export default DiffusionKernels;
@@ -4,24 +4,54 @@
  */
 
 import { ColorUtils } from './ColorUtils.js';
+import { DiffusionKernels } from './DiffusionKernels.js';
+import { PaletteLookup } from './PaletteLookup.js';
+import { ThresholdMaps } from './ThresholdMaps.js';
 
 export class DitheringEngine {
     
     /**
-     * Floyd-Steinberg Dithering - Classic error diffusion
+     * Generic error diffusion - works with any kernel from DiffusionKernels
      * Processes directly on ImageData for maximum speed
+     * options.serpentine: alternate scan direction per row (kills diagonal "worms")
+     * options.attenuation: fraction of the error to diffuse (0-1)
+     * options.metric: color distance metric for palette matching (see ColorUtils.METRICS)
+     * options.linear: diffuse the error in linear light instead of sRGB - a dithered area then
+     *   averages to the source brightness (sRGB diffusion renders midtones too dark)
      */
-    static floydSteinberg(imageData, palette) {
+    static errorDiffusion(imageData, palette, kernel, options = {}) {
         const { data, width, height } = imageData;
+        const { serpentine = false, attenuation = 1, metric = 'weighted', linear = false } = options;
+        const match = PaletteLookup.get(palette, metric).match;
+        
+        // Palette as the values the error is measured against (linear light 0-1, or sRGB as is)
+        const targets = linear
+            ? palette.map(color => color.map(v => ColorUtils.srgbToLinear(v)))
+            : palette;
+        
+        // Pre-scale weights and flatten offsets for the hot loop
+        const count = kernel.offsets.length;
+        const dxs = new Int32Array(count);
+        const dys = new Int32Array(count);
+        const weights = new Float32Array(count);
+        kernel.offsets.forEach(([dx, dy, weight], i) => {
+            dxs[i] = dx;
+            dys[i] = dy;
+            weights[i] = (weight / kernel.divisor) * attenuation;
+        });
         
         // Create float buffer for error accumulation
         const buffer = new Float32Array(data.length);
         for (let i = 0; i < data.length; i++) {
-            buffer[i] = data[i];
+            buffer[i] = linear && (i & 3) !== 3 ? ColorUtils.srgbToLinear(data[i]) : data[i];
         }
         
         for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
+            // Odd rows run right-to-left in serpentine mode, with the kernel mirrored
+            const dir = serpentine && (y & 1) ? -1 : 1;
+            const xStart = dir === 1 ? 0 : width - 1;
+            
+            for (let i = 0, x = xStart; i < width; i++, x += dir) {
                 const idx = (y * width + x) * 4;
                 
                 // Get current pixel with accumulated error
@@ -29,8 +59,11 @@ export class DitheringEngine {
                 const g = buffer[idx + 1];
                 const b = buffer[idx + 2];
                 
-                // Find closest palette color
-                const [nr, ng, nb] = ColorUtils.findClosestColor(r, g, b, palette);
+                // Find closest palette color (matching always compares sRGB colors)
+                const index = linear
+                    ? match(ColorUtils.linearToSrgb(r), ColorUtils.linearToSrgb(g), ColorUtils.linearToSrgb(b))
+                    : match(r, g, b);
+                const [nr, ng, nb] = palette[index];
                 
                 // Set output pixel
                 data[idx] = nr;
@@ -38,42 +71,22 @@ export class DitheringEngine {
                 data[idx + 2] = nb;
                 
                 // Calculate error
-                const errR = r - nr;
-                const errG = g - ng;
-                const errB = b - nb;
+                const [tr, tg, tb] = targets[index];
+                const errR = r - tr;
+                const errG = g - tg;
+                const errB = b - tb;
                 
-                // Distribute error to neighbors (Floyd-Steinberg pattern)
-                // Right: 7/16
-                if (x + 1 < width) {
-                    const rightIdx = idx + 4;
-                    buffer[rightIdx] += errR * 0.4375;
-                    buffer[rightIdx + 1] += errG * 0.4375;
-                    buffer[rightIdx + 2] += errB * 0.4375;
-                }
-                
-                // Bottom row
-                if (y + 1 < height) {
-                    // Bottom-left: 3/16
-                    if (x > 0) {
-                        const blIdx = ((y + 1) * width + x - 1) * 4;
-                        buffer[blIdx] += errR * 0.1875;
-                        buffer[blIdx + 1] += errG * 0.1875;
-                        buffer[blIdx + 2] += errB * 0.1875;
-                    }
-                    
-                    // Bottom: 5/16
-                    const bottomIdx = ((y + 1) * width + x) * 4;
-                    buffer[bottomIdx] += errR * 0.3125;
-                    buffer[bottomIdx + 1] += errG * 0.3125;
-                    buffer[bottomIdx + 2] += errB * 0.3125;
+                // Distribute error to neighbors
+                for (let k = 0; k < count; k++) {
+                    const nx = x + dxs[k] * dir;
+                    const ny = y + dys[k];
+                    if (nx < 0 || nx >= width || ny >= height) continue;
                     
-                    // Bottom-right: 1/16
-                    if (x + 1 < width) {
-                        const brIdx = ((y + 1) * width + x + 1) * 4;
-                        buffer[brIdx] += errR * 0.0625;
-                        buffer[brIdx + 1] += errG * 0.0625;
-                        buffer[brIdx + 2] += errB * 0.0625;
-                    }
+                    const nIdx = (ny * width + nx) * 4;
+                    const w = weights[k];
+                    buffer[nIdx] += errR * w;
+                    buffer[nIdx + 1] += errG * w;
+                    buffer[nIdx + 2] += errB * w;
                 }
             }
         }
@@ -82,42 +95,37 @@ export class DitheringEngine {
     }
 
     /**
-     * Ordered Dithering (Bayer) - Super fast pattern-based dithering
+     * Floyd-Steinberg Dithering - Classic error diffusion
+     */
+    static floydSteinberg(imageData, palette, options = {}) {
+        return this.errorDiffusion(imageData, palette, DiffusionKernels['floyd-steinberg'], options);
+    }
+
+    /**
+     * Ordered Dithering - Super fast pattern-based dithering
      * No error diffusion needed - pure lookup table operation
+     * options.mode: 'luminance' (threshold brightness only) or 'pattern' (palette-aware, keeps hue)
+     * options.thresholdMap: any map from ThresholdMaps (defaults to a Bayer matrix of matrixSize)
+     * options.metric: color distance metric for pattern mode (luminance mode ranks by brightness)
      */
-    static orderedDither(imageData, palette, matrixSize = 4) {
+    static orderedDither(imageData, palette, matrixSize = 4, options = {}) {
         const { data, width, height } = imageData;
+        const {
+            mode = 'luminance',
+            thresholdMap = ThresholdMaps.get('bayer', matrixSize),
+            metric = 'weighted'
+        } = options;
+        const { width: mapWidth, height: mapHeight, data: thresholds } = thresholdMap;
         
-        // Pre-computed Bayer matrices (normalized 0-1)
-        const bayerMatrices = {
-            2: [
-                [0.00, 0.50],
-                [0.75, 0.25]
-            ],
-            4: [
-                [0.0000, 0.5000, 0.1250, 0.6250],
-                [0.7500, 0.2500, 0.8750, 0.3750],
-                [0.1875, 0.6875, 0.0625, 0.5625],
-                [0.9375, 0.4375, 0.8125, 0.3125]
-            ],
-            8: [
-                [0.000, 0.500, 0.125, 0.625, 0.031, 0.531, 0.156, 0.656],
-                [0.750, 0.250, 0.875, 0.375, 0.781, 0.281, 0.906, 0.406],
-                [0.188, 0.688, 0.063, 0.563, 0.219, 0.719, 0.094, 0.594],
-                [0.938, 0.438, 0.813, 0.313, 0.969, 0.469, 0.844, 0.344],
-                [0.047, 0.547, 0.172, 0.672, 0.016, 0.516, 0.141, 0.641],
-                [0.797, 0.297, 0.922, 0.422, 0.766, 0.266, 0.891, 0.391],
-                [0.234, 0.734, 0.109, 0.609, 0.203, 0.703, 0.078, 0.578],
-                [0.984, 0.484, 0.859, 0.359, 0.953, 0.453, 0.828, 0.328]
-            ]
-        };
+        if (mode === 'pattern') {
+            return this.patternDither(imageData, palette, thresholdMap, metric);
+        }
         
-        const bayer = bayerMatrices[matrixSize] || bayerMatrices[4];
         const sortedPalette = ColorUtils.sortPaletteByLuminance(palette);
         const numColors = sortedPalette.length;
         
         for (let y = 0; y < height; y++) {
-            const yMod = y % matrixSize;
+            const mapRow = (y % mapHeight) * mapWidth;
             for (let x = 0; x < width; x++) {
                 const idx = (y * width + x) * 4;
                 
@@ -125,8 +133,8 @@ export class DitheringEngine {
                 const g = data[idx + 1];
                 const b = data[idx + 2];
                 
-                // Get threshold from Bayer matrix
-                const threshold = bayer[yMod][x % matrixSize];
+                // Get threshold from the tiled map
+                const threshold = thresholds[mapRow + x % mapWidth];
                 
                 // Calculate luminance and apply threshold
                 const lum = ColorUtils.getLuminance(r, g, b) / 255;
@@ -149,52 +157,141 @@ export class DitheringEngine {
     }
 
     /**
-     * Atkinson Dithering - Classic Mac style
-     * Distributes only 6/8 of error for higher contrast
+     * Knoll pattern dithering - palette-aware ordered dithering
+     * For each color, builds a mix of palette entries whose average approximates it,
+     * then the threshold map picks one entry of the mix per pixel
      */
-    static atkinson(imageData, palette) {
+    static patternDither(imageData, palette, thresholdMap, metric = 'weighted') {
         const { data, width, height } = imageData;
+        const match = PaletteLookup.get(palette, metric).match;
+        const { width: mapWidth, height: mapHeight, data: thresholds } = thresholdMap;
         
-        const buffer = new Float32Array(data.length);
-        for (let i = 0; i < data.length; i++) {
-            buffer[i] = data[i];
-        }
+        // One candidate per threshold level, capped for large maps (blue noise, custom)
+        const candidateCount = Math.min(64, mapWidth * mapHeight);
+        
+        // Candidates are sorted by luminance so dark entries land on low thresholds
+        const luminances = palette.map(([r, g, b]) => ColorUtils.getLuminance(r, g, b));
+        const byLuminance = (a, b) => luminances[a] - luminances[b];
+        
+        // Map threshold values to candidate slots once
+        const slots = thresholds.map(t =>
+            Math.min(candidateCount - 1, Math.floor(t * candidateCount))
+        );
+        
+        // Photos repeat colors a lot - cache mixes per exact RGB (bounded)
+        const cache = new Map();
+        const candidates = new Array(candidateCount);
+        
+        const buildMix = (r, g, b) => {
+            let errR = 0, errG = 0, errB = 0;
+            for (let i = 0; i < candidateCount; i++) {
+                const index = match(
+                    ColorUtils.clamp(r + errR),
+                    ColorUtils.clamp(g + errG),
+                    ColorUtils.clamp(b + errB)
+                );
+                const [pr, pg, pb] = palette[index];
+                candidates[i] = index;
+                errR += r - pr;
+                errG += g - pg;
+                errB += b - pb;
+            }
+            return Uint8Array.from(candidates.sort(byLuminance));
+        };
         
         for (let y = 0; y < height; y++) {
+            const mapRow = (y % mapHeight) * mapWidth;
             for (let x = 0; x < width; x++) {
                 const idx = (y * width + x) * 4;
+                const r = data[idx];
+                const g = data[idx + 1];
+                const b = data[idx + 2];
                 
-                const r = buffer[idx];
-                const g = buffer[idx + 1];
-                const b = buffer[idx + 2];
-                
-                const [nr, ng, nb] = ColorUtils.findClosestColor(r, g, b, palette);
+                const key = (r << 16) | (g << 8) | b;
+                let mix = cache.get(key);
+                if (!mix) {
+                    if (cache.size >= 65536) cache.clear();
+                    mix = buildMix(r, g, b);
+                    cache.set(key, mix);
+                }
                 
+                const [nr, ng, nb] = palette[mix[slots[mapRow + x % mapWidth]]];
                 data[idx] = nr;
                 data[idx + 1] = ng;
                 data[idx + 2] = nb;
+            }
+        }
+        
+        return imageData;
+    }
+
+    /**
+     * Atkinson Dithering - Classic Mac style
+     * Distributes only 6/8 of error for higher contrast
+     */
+    static atkinson(imageData, palette, options = {}) {
+        return this.errorDiffusion(imageData, palette, DiffusionKernels.atkinson, options);
+    }
+
+    /**
+     * 1-bit alpha: opaque where alpha >= threshold (0-255), fully transparent elsewhere
+     */
+    static thresholdAlpha(imageData, threshold = 128) {
+        const { data } = imageData;
+        
+        for (let i = 3; i < data.length; i += 4) {
+            data[i] = data[i] >= threshold ? 255 : 0;
+        }
+        
+        return imageData;
+    }
+
+    /**
+     * 1-bit alpha dithered with the same algorithm as the colors
+     * options.kernel: error diffusion kernel (uses serpentine / attenuation like errorDiffusion)
+     * options.thresholdMap: ordered threshold map - used when no kernel is given
+     * Neither = plain 50% threshold
+     */
+    static ditherAlpha(imageData, options = {}) {
+        const { data, width, height } = imageData;
+        const { kernel = null, thresholdMap = null, serpentine = false, attenuation = 1 } = options;
+        
+        if (thresholdMap) {
+            const { width: mapWidth, height: mapHeight, data: thresholds } = thresholdMap;
+            for (let y = 0; y < height; y++) {
+                const mapRow = (y % mapHeight) * mapWidth;
+                for (let x = 0; x < width; x++) {
+                    const idx = (y * width + x) * 4 + 3;
+                    data[idx] = data[idx] / 255 > thresholds[mapRow + x % mapWidth] ? 255 : 0;
+                }
+            }
+            return imageData;
+        }
+        
+        if (!kernel) return this.thresholdAlpha(imageData);
+        
+        // Alpha-only error buffer
+        const buffer = new Float32Array(width * height);
+        for (let i = 0; i < buffer.length; i++) {
+            buffer[i] = data[i * 4 + 3];
+        }
+        
+        for (let y = 0; y < height; y++) {
+            const dir = serpentine && (y & 1) ? -1 : 1;
+            const xStart = dir === 1 ? 0 : width - 1;
+            
+            for (let i = 0, x = xStart; i < width; i++, x += dir) {
+                const pos = y * width + x;
+                const alpha = buffer[pos];
+                const value = alpha >= 128 ? 255 : 0;
+                data[pos * 4 + 3] = value;
                 
-                // Error * 1/8 (Atkinson distributes less error)
-                const errR = (r - nr) * 0.125;
-                const errG = (g - ng) * 0.125;
-                const errB = (b - nb) * 0.125;
-                
-                // Atkinson pattern: 6 neighbors get 1/8 each
-                const neighbors = [
-                    [0, 1], [0, 2],           // Right, far right
-                    [1, -1], [1, 0], [1, 1],  // Next row
-                    [2, 0]                     // Two rows down
-                ];
-                
-                for (const [dy, dx] of neighbors) {
+                const error = (alpha - value) * attenuation / kernel.divisor;
+                for (const [dx, dy, weight] of kernel.offsets) {
+                    const nx = x + dx * dir;
                     const ny = y + dy;
-                    const nx = x + dx;
-                    if (ny >= 0 && ny < height && nx >= 0 && nx < width) {
-                        const nIdx = (ny * width + nx) * 4;
-                        buffer[nIdx] += errR;
-                        buffer[nIdx + 1] += errG;
-                        buffer[nIdx + 2] += errB;
-                    }
+                    if (nx < 0 || nx >= width || ny >= height) continue;
+                    buffer[ny * width + nx] += error * weight;
                 }
             }
         }
@@ -205,15 +302,14 @@ export class DitheringEngine {
     /**
      * Simple Quantize - No dithering, just nearest color
      * Ultra fast for preview or clean look
+     * There is no error to diffuse, so the linear light option does not apply here
      */
-    static quantize(imageData, palette) {
-        const { data, width, height } = imageData;
+    static quantize(imageData, palette, options = {}) {
+        const { data } = imageData;
+        const match = PaletteLookup.get(palette, options.metric).match;
         
         for (let i = 0; i < data.length; i += 4) {
-            const [nr, ng, nb] = ColorUtils.findClosestColor(
-                data[i], data[i + 1], data[i + 2], 
-                palette
-            );
+            const [nr, ng, nb] = palette[match(data[i], data[i + 1], data[i + 2])];
             data[i] = nr;
             data[i + 1] = ng;
             data[i + 2] = nb;
@@ -5,6 +5,7 @@
  */
 
 import { ColorUtils } from './ColorUtils.js';
+import { CanvasUtils } from './CanvasUtils.js';
 
 export class EffectsEngine {
     
@@ -157,13 +158,12 @@ export class EffectsEngine {
             maxSize = 200,      // Much bigger blobs
             blendMode = 'overlay',
             color = null,       // Custom blob color (null = white)
-            softness = 0.6      // Edge softness (0-1)
+            softness = 0.6,     // Edge softness (0-1)
+            random = Math.random // Random source (pass a seeded one for stable layouts)
         } = options;
         
-        // Create temporary canvas for blobs
-        const blobCanvas = document.createElement('canvas');
-        blobCanvas.width = width;
-        blobCanvas.height = height;
+        // Create temporary canvas for blobs (OffscreenCanvas inside the worker)
+        const blobCanvas = CanvasUtils.createCanvas(width, height);
         const blobCtx = blobCanvas.getContext('2d');
         
         // Get base color
@@ -174,10 +174,10 @@ export class EffectsEngine {
         const numBlobs = Math.max(5, Math.min(density, 100));
         
         for (let i = 0; i < numBlobs; i++) {
-            const x = Math.random() * width;
-            const y = Math.random() * height;
-            const size = minSize + Math.random() * (maxSize - minSize);
-            const alpha = 0.2 + Math.random() * 0.5;
+            const x = random() * width;
+            const y = random() * height;
+            const size = minSize + random() * (maxSize - minSize);
+            const alpha = 0.2 + random() * 0.5;
             
             // Create gradient for soft edges
             const gradient = blobCtx.createRadialGradient(x, y, 0, x, y, size);
@@ -187,14 +187,14 @@ export class EffectsEngine {
             
             // Draw organic blob shape using bezier curves
             blobCtx.beginPath();
-            const points = 6 + Math.floor(Math.random() * 4);
+            const points = 6 + Math.floor(random() * 4);
             const angleStep = (Math.PI * 2) / points;
             
             // Generate control points for smooth blob
             const controlPoints = [];
             for (let j = 0; j < points; j++) {
-                const angle = j * angleStep + Math.random() * 0.3;
-                const r = size * (0.6 + Math.random() * 0.8);
+                const angle = j * angleStep + random() * 0.3;
+                const r = size * (0.6 + random() * 0.8);
                 controlPoints.push({
                     x: x + Math.cos(angle) * r,
                     y: y + Math.sin(angle) * r
@@ -227,11 +227,11 @@ export class EffectsEngine {
     /**
      * Add noise texture for organic feel
      */
-    static addNoise(imageData, amount = 10) {
+    static addNoise(imageData, amount = 10, random = Math.random) {
         const { data } = imageData;
         
         for (let i = 0; i < data.length; i += 4) {
-            const noise = (Math.random() - 0.5) * amount * 2;
+            const noise = (random() - 0.5) * amount * 2;
             data[i] = ColorUtils.clamp(data[i] + noise);
             data[i + 1] = ColorUtils.clamp(data[i + 1] + noise);
             data[i + 2] = ColorUtils.clamp(data[i + 2] + noise);
@@ -240,6 +240,49 @@ export class EffectsEngine {
         return imageData;
     }
 
+    /**
+     * Composite onto a solid background color ([r, g, b]) - the result is fully opaque
+     */
+    static flattenAlpha(imageData, background) {
+        const { data } = imageData;
+        const [br, bg, bb] = background;
+        
+        for (let i = 0; i < data.length; i += 4) {
+            const alpha = data[i + 3] / 255;
+            if (alpha === 1) continue;
+            data[i] = data[i] * alpha + br * (1 - alpha);
+            data[i + 1] = data[i + 1] * alpha + bg * (1 - alpha);
+            data[i + 2] = data[i + 2] * alpha + bb * (1 - alpha);
+            data[i + 3] = 255;
+        }
+        
+        return imageData;
+    }
+
+    /**
+     * Whether any pixel is not fully opaque
+     */
+    static hasTransparency(imageData) {
+        const { data } = imageData;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] < 255) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Copy the alpha channel of one image onto another of the same size
+     * (canvas blend modes make transparent areas partly opaque)
+     */
+    static restoreAlpha(imageData, alphaSource) {
+        const target = imageData.data;
+        const source = alphaSource.data;
+        for (let i = 3; i < target.length; i += 4) {
+            target[i] = source[i];
+        }
+        return imageData;
+    }
+
     /**
      * Blend with original image for visibility
      */
@@ -3,9 +3,8 @@
  * Orchestrates all effects and dithering operations
  */
 
-import { ColorUtils } from './ColorUtils.js';
-import { DitheringEngine } from './DitheringEngine.js';
-import { EffectsEngine } from './EffectsEngine.js';
+import { CanvasUtils } from './CanvasUtils.js';
+import { ProcessingPipeline, ProcessingCancelledError } from './ProcessingPipeline.js';
 
 export class ImageProcessor {
     constructor() {
@@ -16,18 +15,39 @@ export class ImageProcessor {
         this.processCanvas = document.createElement('canvas');
         this.processCtx = this.processCanvas.getContext('2d', { willReadFrequently: true });
         
+        // Low-res proxy rendered while the user is dragging controls
+        this.previewCanvas = document.createElement('canvas');
+        this.previewCtx = this.previewCanvas.getContext('2d');
+        this.lastResultIsPreview = false;
+        
         this.originalImageData = null;
+        
+        // Pixel work happens in a worker; newer jobs supersede older ones of the same slot
+        // ('live' = on-screen renders, 'export' = renders at an explicit export size)
+        this.worker = this.createWorker();
+        this.jobCounter = 0;
+        this.latestJobIds = { live: 0, export: 0 };
+        this.pendingJobs = new Map();
     }
 
     /**
-     * Load image from source (File, URL, or existing Image)
+     * Load image from source (File/Blob, URL, or existing Image)
      */
     async loadImage(source) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.crossOrigin = 'anonymous';
             
+            // Object URL made for a File/Blob - released once the image is decoded (or failed)
+            let objectUrl = null;
+            const releaseUrl = () => {
+                if (objectUrl) URL.revokeObjectURL(objectUrl);
+                objectUrl = null;
+            };
+            
             img.onload = () => {
+                releaseUrl();
+                
                 // Set canvas size
                 this.sourceCanvas.width = img.width;
                 this.sourceCanvas.height = img.height;
@@ -41,6 +61,8 @@ export class ImageProcessor {
                 this.originalImageData = this.sourceCtx.getImageData(
                     0, 0, img.width, img.height
                 );
+                this.cancel();
+                this.sendSourceToWorker();
                 
                 resolve({
                     width: img.width,
@@ -49,10 +71,14 @@ export class ImageProcessor {
                 });
             };
             
-            img.onerror = () => reject(new Error('Failed to load image'));
+            img.onerror = () => {
+                releaseUrl();
+                reject(new Error('Failed to load image'));
+            };
             
-            if (source instanceof File) {
-                img.src = URL.createObjectURL(source);
+            if (source instanceof Blob) {
+                objectUrl = URL.createObjectURL(source);
+                img.src = objectUrl;
             } else if (typeof source === 'string') {
                 img.src = source;
             } else if (source instanceof Image) {
@@ -63,172 +89,182 @@ export class ImageProcessor {
 
     /**
      * Main processing pipeline - processes image with given settings
-     * Returns a canvas element with the processed image
+     * Pixel work runs in the processing worker (inline if workers are unavailable)
+     * options.preview: { width, height } box to fit a fast low-res proxy into
+     * options.size: explicit { width, height } output size (export) - rendered to a new canvas,
+     * the live result is left alone; exports and live renders do not cancel each other
+     * Resolves to a canvas with the processed image, or null if a newer call superseded it
      */
-    process(settings) {
+    async process(settings, options = {}) {
         if (!this.originalImageData) {
             throw new Error('No image loaded');
         }
 
-        const {
-            colors = ['#000000', '#ffffff'],
-            ditherType = 'floyd-steinberg',
-            ditherStrength = 100,
-            orderedMatrixSize = 4,
-            pixelScale = 1.0,
-            posterizeEnabled = false,
-            posterizeLevels = 4,
-            posterizeMode = 'luminance',
-            posterizeUsePalette = true,
-            blobEnabled = true,
-            blobIntensity = 30,
-            blobDensity = 15,
-            blobSizeMin = 50,
-            blobSizeMax = 200,
-            blobSoftness = 60,
-            blobBlendMode = 'overlay',
-            noiseEnabled = false,
-            noiseAmount = 10,
-            originalBlend = 0
-        } = settings;
+        const size = options.size || (options.preview
+            ? this.getPreviewSize(options.preview.width, options.preview.height)
+            : this.getDimensions());
+        const isPreview = size.width !== this.originalImageData.width;
 
-        // Convert hex colors to RGB arrays
-        const palette = colors.map(c => ColorUtils.hexToRgb(c));
-        
-        // Get original dimensions
-        const origWidth = this.originalImageData.width;
-        const origHeight = this.originalImageData.height;
-        
-        // Calculate working dimensions for pixelation
-        const workWidth = Math.floor(origWidth / pixelScale);
-        const workHeight = Math.floor(origHeight / pixelScale);
-        
-        // Step 0: Pixelation - downscale if pixelScale > 1
-        let imageData;
-        if (pixelScale > 1) {
-            // Create small canvas for downscaling
-            const smallCanvas = document.createElement('canvas');
-            smallCanvas.width = workWidth;
-            smallCanvas.height = workHeight;
-            const smallCtx = smallCanvas.getContext('2d');
-            
-            // Draw original scaled down
-            smallCtx.drawImage(this.sourceCanvas, 0, 0, workWidth, workHeight);
-            imageData = smallCtx.getImageData(0, 0, workWidth, workHeight);
-        } else {
-            // Copy original data at full resolution
-            imageData = new ImageData(
-                new Uint8ClampedArray(this.originalImageData.data),
-                origWidth,
-                origHeight
-            );
-        }
-        
-        // Store clean copy for blending
-        const cleanOriginal = new ImageData(
-            new Uint8ClampedArray(imageData.data),
-            imageData.width,
-            imageData.height
-        );
+        const slot = options.size ? 'export' : 'live';
+        const jobId = ++this.jobCounter;
+        this.latestJobIds[slot] = jobId;
 
-        // Step 1: Posterization (if enabled)
-        if (posterizeEnabled) {
-            imageData = EffectsEngine.posterize(
-                imageData, 
-                posterizeLevels, 
-                posterizeMode,
-                posterizeUsePalette ? palette : null
-            );
+        // Older jobs of the same slot still waiting are superseded - settle them right away
+        for (const [pendingId, pending] of this.pendingJobs) {
+            if (pending.slot !== slot) continue;
+            pending.resolve(null);
+            this.pendingJobs.delete(pendingId);
         }
 
-        // Step 2: Dithering
-        if (ditherStrength > 0) {
-            switch (ditherType) {
-                case 'floyd-steinberg':
-                    imageData = DitheringEngine.floydSteinberg(imageData, palette);
-                    break;
-                case 'ordered':
-                    imageData = DitheringEngine.orderedDither(imageData, palette, orderedMatrixSize);
-                    break;
-                case 'atkinson':
-                    imageData = DitheringEngine.atkinson(imageData, palette);
-                    break;
-                case 'none':
-                    // If no posterization with palette, still quantize to palette
-                    if (!posterizeEnabled || !posterizeUsePalette) {
-                        imageData = DitheringEngine.quantize(imageData, palette);
-                    }
-                    break;
-                default:
-                    imageData = DitheringEngine.floydSteinberg(imageData, palette);
-            }
-            
-            // Blend with undithered version based on strength
-            if (ditherStrength < 100 && ditherType !== 'none') {
-                const undithered = new ImageData(
-                    new Uint8ClampedArray(cleanOriginal.data),
-                    imageData.width,
-                    imageData.height
-                );
-                const blend = (100 - ditherStrength) / 100;
-                imageData = EffectsEngine.blendWithOriginal(imageData, undithered, blend);
-            }
+        let imageData;
+        try {
+            imageData = this.worker
+                ? await this.runInWorker(jobId, settings, size, slot)
+                : await this.runInline(jobId, settings, size, slot);
+        } catch (err) {
+            if (err instanceof ProcessingCancelledError) return null;
+            throw err;
         }
 
-        // Put processed data on process canvas (at working size)
-        this.processCanvas.width = origWidth;
-        this.processCanvas.height = origHeight;
-        
-        if (pixelScale > 1) {
-            // Scale up with nearest neighbor (pixelated)
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = imageData.width;
-            tempCanvas.height = imageData.height;
-            tempCanvas.getContext('2d').putImageData(imageData, 0, 0);
-            
-            this.processCtx.imageSmoothingEnabled = false;
-            this.processCtx.drawImage(tempCanvas, 0, 0, origWidth, origHeight);
-            this.processCtx.imageSmoothingEnabled = true;
-        } else {
-            this.processCtx.putImageData(imageData, 0, 0);
+        if (!imageData || jobId !== this.latestJobIds[slot]) return null;
+
+        if (options.size) {
+            const canvas = document.createElement('canvas');
+            canvas.width = imageData.width;
+            canvas.height = imageData.height;
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+            return canvas;
         }
 
-        // Step 3: Blob overlay (uses canvas operations)
-        if (blobEnabled && blobIntensity > 0) {
-            EffectsEngine.addBlobs(this.processCtx, origWidth, origHeight, {
-                intensity: blobIntensity / 100,
-                density: blobDensity,
-                minSize: blobSizeMin,
-                maxSize: blobSizeMax,
-                softness: blobSoftness / 100,
-                blendMode: blobBlendMode
-            });
-            
-            // Get updated image data after blobs
-            imageData = this.processCtx.getImageData(0, 0, origWidth, origHeight);
+        // Previews never overwrite the full-resolution result used for export
+        const [canvas, ctx] = isPreview
+            ? [this.previewCanvas, this.previewCtx]
+            : [this.processCanvas, this.processCtx];
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        ctx.putImageData(imageData, 0, 0);
+        this.lastResultIsPreview = isPreview;
+
+        return canvas;
+    }
+
+    /**
+     * Proxy size: the image fitted into the given box, never upscaled
+     */
+    getPreviewSize(maxWidth, maxHeight) {
+        const { width, height } = this.originalImageData;
+        const scale = Math.min(1, maxWidth / width, maxHeight / height);
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale))
+        };
+    }
+
+    /**
+     * Working (pixelated) size: one pixel per dithered cell, as used by the pipeline
+     */
+    getWorkingSize(pixelScale) {
+        const { width, height } = this.originalImageData;
+        const cellScale = Math.max(1, pixelScale);
+        return {
+            width: Math.max(1, Math.floor(width / cellScale)),
+            height: Math.max(1, Math.floor(height / cellScale))
+        };
+    }
+
+    /**
+     * Cancel the in-flight live render (its process() call resolves to null)
+     */
+    cancel() {
+        const jobId = this.latestJobIds.live;
+        this.latestJobIds.live = ++this.jobCounter;
+        this.worker?.postMessage({ type: 'cancel', jobId });
+        this.pendingJobs.get(jobId)?.resolve(null);
+        this.pendingJobs.delete(jobId);
+    }
+
+    /**
+     * Post a job to the worker and wait for its result
+     */
+    runInWorker(jobId, settings, size, slot) {
+        return new Promise((resolve, reject) => {
+            this.pendingJobs.set(jobId, { resolve, reject, settings, size, slot });
+            this.worker.postMessage({ type: 'process', jobId, settings, size, slot });
+        });
+    }
+
+    /**
+     * Fallback: run the pipeline on the main thread
+     */
+    runInline(jobId, settings, size, slot) {
+        const source = { imageData: this.originalImageData, canvas: this.sourceCanvas };
+        return ProcessingPipeline.run(source, settings, {
+            checkpoint: async () => {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (jobId !== this.latestJobIds[slot]) throw new ProcessingCancelledError(jobId);
+            },
+            outputWidth: size.width,
+            outputHeight: size.height
+        });
+    }
+
+    /**
+     * Handle messages coming back from the worker
+     */
+    handleWorkerMessage(e) {
+        const { type, jobId } = e.data;
+        const pending = this.pendingJobs.get(jobId);
+        if (!pending) return; // Superseded job - result no longer wanted
+
+        this.pendingJobs.delete(jobId);
+        if (type === 'result') {
+            pending.resolve(e.data.imageData);
+        } else if (type === 'cancelled') {
+            pending.resolve(null);
         } else {
-            imageData = this.processCtx.getImageData(0, 0, origWidth, origHeight);
+            pending.reject(new Error(e.data.message));
         }
+    }
 
-        // Step 4: Noise texture
-        if (noiseEnabled) {
-            imageData = EffectsEngine.addNoise(imageData, noiseAmount);
-            this.processCtx.putImageData(imageData, 0, 0);
+    /**
+     * Start the processing worker, or stay inline if unsupported
+     */
+    createWorker() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+            return null;
         }
 
-        // Step 5: Blend with original
-        if (originalBlend > 0) {
-            const origClean = new ImageData(
-                new Uint8ClampedArray(this.originalImageData.data),
-                origWidth,
-                origHeight
+        try {
+            const worker = new Worker(
+                new URL('../workers/processing.worker.js', import.meta.url),
+                { type: 'module' }
             );
-            imageData = this.processCtx.getImageData(0, 0, origWidth, origHeight);
-            imageData = EffectsEngine.blendWithOriginal(imageData, origClean, originalBlend / 100);
-            this.processCtx.putImageData(imageData, 0, 0);
+            worker.addEventListener('message', (e) => this.handleWorkerMessage(e));
+            worker.addEventListener('error', (e) => {
+                console.warn('Processing worker failed, falling back to main thread:', e.message);
+                this.worker = null;
+                worker.terminate();
+                
+                // Finish whatever was waiting on the worker inline
+                for (const [jobId, pending] of this.pendingJobs) {
+                    this.runInline(jobId, pending.settings, pending.size, pending.slot).then(pending.resolve, pending.reject);
+                }
+                this.pendingJobs.clear();
+            });
+            return worker;
+        } catch (err) {
+            console.warn('Processing worker unavailable:', err);
+            return null;
         }
+    }
 
-        return this.processCanvas;
+    /**
+     * Send a copy of the original pixels to the worker (buffer is transferred)
+     */
+    sendSourceToWorker() {
+        if (!this.worker || !this.originalImageData) return;
+        const copy = CanvasUtils.cloneImageData(this.originalImageData);
+        this.worker.postMessage({ type: 'load', imageData: copy }, [copy.data.buffer]);
     }
 
     /**
@@ -269,6 +305,7 @@ export class ImageProcessor {
      * Clear loaded image
      */
     clear() {
+        this.cancel();
         this.originalImageData = null;
         this.sourceCanvas.width = 1;
         this.sourceCanvas.height = 1;
@@ -0,0 +1,286 @@
+/**
+ * IndexedEncoder - Palette-indexed PNG and GIF writers
+ * The result only holds palette colors, so an indexed file is a fraction of
+ * the size of the truecolor canvas export and keeps the palette exact
+ */
+
+import { Checksum } from './Checksum.js';
+import { PaletteLookup } from './PaletteLookup.js';
+
+export class IndexedEncoder {
+    // Palette size limit of both formats
+    static MAX_COLORS = 256;
+
+    // GIF LZW code size limit
+    static MAX_CODE_BITS = 12;
+
+    /**
+     * Map every pixel to a palette index ([[r, g, b], ...])
+     * Pixels not exactly in the palette (blobs, noise, blending) are snapped to the nearest color
+     * options.transparent: reserve index 0 for pixels with alpha below 50%
+     * Returns { indices, palette, approximated, transparentIndex }
+     */
+    static toIndexed(imageData, palette, metric = 'weighted', options = {}) {
+        const { transparent = false } = options;
+        const offset = transparent ? 1 : 0;
+        if (palette.length < 1 || palette.length + offset > this.MAX_COLORS) {
+            throw new Error(`Indexed export needs 1-${this.MAX_COLORS - offset} colors, got ${palette.length}`);
+        }
+
+        const exact = new Map();
+        palette.forEach(([r, g, b], i) => {
+            const key = (r << 16) | (g << 8) | b;
+            if (!exact.has(key)) exact.set(key, i + offset);
+        });
+
+        const { data, width, height } = imageData;
+        const indices = new Uint8Array(width * height);
+        let lookup = null;
+        let approximated = false;
+
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            if (transparent && data[p + 3] < 128) continue; // stays 0
+
+            const key = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+            let index = exact.get(key);
+            if (index === undefined) {
+                lookup = lookup || PaletteLookup.get(palette, metric);
+                index = lookup.find(data[p], data[p + 1], data[p + 2]) + offset;
+                approximated = true;
+            }
+            indices[i] = index;
+        }
+
+        return {
+            indices,
+            palette: transparent ? [[0, 0, 0], ...palette] : palette,
+            approximated,
+            transparentIndex: transparent ? 0 : null
+        };
+    }
+
+    /**
+     * Smallest PNG bit depth (1, 2, 4 or 8) that holds the palette
+     */
+    static getBitDepth(colorCount) {
+        if (colorCount <= 2) return 1;
+        if (colorCount <= 4) return 2;
+        if (colorCount <= 16) return 4;
+        return 8;
+    }
+
+    // ==================== PNG ====================
+
+    /**
+     * Encode an indexed image as PNG (color type 3, PLTE)
+     */
+    static async encodePng(indexed, width, height) {
+        const { indices, palette, transparentIndex = null } = indexed;
+        const depth = this.getBitDepth(palette.length);
+        const perByte = 8 / depth;
+        const stride = Math.ceil(width / perByte);
+
+        // Scanlines: filter byte 0 (none) + pixels packed MSB first
+        const raw = new Uint8Array((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            const row = y * (stride + 1) + 1;
+            for (let x = 0; x < width; x++) {
+                const shift = 8 - depth * (x % perByte + 1);
+                raw[row + Math.floor(x / perByte)] |= indices[y * width + x] << shift;
+            }
+        }
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header[8] = depth;
+        header[9] = 3; // color type: indexed
+
+        const plte = new Uint8Array(palette.length * 3);
+        palette.forEach((color, i) => plte.set(color, i * 3));
+
+        // tRNS: alpha per palette entry up to the transparent one (the rest are opaque)
+        const chunks = [this.pngChunk('IHDR', header), this.pngChunk('PLTE', plte)];
+        if (transparentIndex !== null) {
+            const alpha = new Uint8Array(transparentIndex + 1).fill(255);
+            alpha[transparentIndex] = 0;
+            chunks.push(this.pngChunk('tRNS', alpha));
+        }
+
+        return new Blob([
+            new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            ...chunks,
+            this.pngChunk('IDAT', await this.zlib(raw)),
+            this.pngChunk('IEND', new Uint8Array(0))
+        ], { type: 'image/png' });
+    }
+
+    /**
+     * Length + type + data + CRC
+     */
+    static pngChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, Checksum.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    /**
+     * zlib stream - CompressionStream where available, stored (uncompressed) blocks otherwise
+     */
+    static async zlib(bytes) {
+        if (typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+
+        const BLOCK = 65535;
+        const blocks = Math.max(1, Math.ceil(bytes.length / BLOCK));
+        const out = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+        out[0] = 0x78;
+        out[1] = 0x01;
+
+        let pos = 2;
+        for (let i = 0; i < blocks; i++) {
+            const block = bytes.subarray(i * BLOCK, (i + 1) * BLOCK);
+            out[pos] = i === blocks - 1 ? 1 : 0;
+            out[pos + 1] = block.length & 0xff;
+            out[pos + 2] = block.length >> 8;
+            out[pos + 3] = ~block.length & 0xff;
+            out[pos + 4] = (~block.length >> 8) & 0xff;
+            out.set(block, pos + 5);
+            pos += 5 + block.length;
+        }
+        new DataView(out.buffer).setUint32(pos, Checksum.adler32(bytes));
+        return out;
+    }
+
+    // ==================== GIF ====================
+
+    /**
+     * Encode an indexed image as GIF89a (global color table, single frame)
+     */
+    static async encodeGif(indexed, width, height) {
+        const { indices, palette, transparentIndex = null } = indexed;
+
+        // Color table size is a power of two, at least 2 entries
+        let bits = 1;
+        while ((1 << bits) < palette.length) bits++;
+
+        const table = new Uint8Array((1 << bits) * 3);
+        palette.forEach((color, i) => table.set(color, i * 3));
+
+        const screen = new Uint8Array(13);
+        const view = new DataView(screen.buffer);
+        screen.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // "GIF89a"
+        view.setUint16(6, width, true);
+        view.setUint16(8, height, true);
+        screen[10] = 0x80 | ((bits - 1) << 4) | (bits - 1); // global table, color resolution, size
+
+        const descriptor = new Uint8Array(10);
+        const descView = new DataView(descriptor.buffer);
+        descriptor[0] = 0x2c;
+        descView.setUint16(5, width, true);
+        descView.setUint16(7, height, true);
+
+        // Graphic control extension - only needed to mark the transparent index
+        const control = transparentIndex === null ? new Uint8Array(0)
+            : new Uint8Array([0x21, 0xf9, 0x04, 0x01, 0, 0, transparentIndex, 0]);
+
+        const minCodeSize = Math.max(2, bits);
+
+        return new Blob([
+            screen,
+            table,
+            control,
+            descriptor,
+            new Uint8Array([minCodeSize]),
+            this.toSubBlocks(this.lzw(indices, minCodeSize)),
+            new Uint8Array([0x3b])
+        ], { type: 'image/gif' });
+    }
+
+    /**
+     * GIF-flavoured LZW: variable code width, codes packed LSB first,
+     * table reset with a clear code once it reaches 4096 entries
+     */
+    static lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const maxCode = 1 << this.MAX_CODE_BITS;
+
+        const out = [];
+        let buffer = 0, bufferBits = 0;
+        let codeSize = minCodeSize + 1;
+        const emit = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                out.push(buffer & 0xff);
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        // Dictionary: (prefix code << 8 | next index) -> code
+        let dictionary = new Map();
+        let nextCode = endCode + 1;
+        emit(clearCode);
+
+        if (indices.length === 0) {
+            emit(endCode);
+            if (bufferBits > 0) out.push(buffer & 0xff);
+            return new Uint8Array(out);
+        }
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = dictionary.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode < maxCode) {
+                dictionary.set(key, nextCode++);
+                if (nextCode > (1 << codeSize) && codeSize < this.MAX_CODE_BITS) codeSize++;
+            } else {
+                emit(clearCode);
+                dictionary = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            }
+            prefix = index;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bufferBits > 0) out.push(buffer & 0xff);
+        return new Uint8Array(out);
+    }
+
+    /**
+     * Split image data into length-prefixed sub-blocks (max 255 bytes) + terminator
+     */
+    static toSubBlocks(bytes) {
+        const count = Math.ceil(bytes.length / 255);
+        const out = new Uint8Array(bytes.length + count + 1);
+        let pos = 0;
+        for (let i = 0; i < bytes.length; i += 255) {
+            const block = bytes.subarray(i, i + 255);
+            out[pos++] = block.length;
+            out.set(block, pos);
+            pos += block.length;
+        }
+        out[pos] = 0;
+        return out;
+    }
+}
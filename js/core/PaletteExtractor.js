@@ -0,0 +1,302 @@
+/**
+ * PaletteExtractor - Generate a palette from an image
+ * Median cut, k-means (in Lab space) and octree quantization on a downsampled pixel sample
+ */
+
+import { ColorUtils } from './ColorUtils.js';
+import { SeededRandom } from './SeededRandom.js';
+
+export class PaletteExtractor {
+    // Available algorithms
+    static ALGORITHMS = ['median-cut', 'kmeans', 'octree'];
+
+    // Pixels sampled from the image - plenty for a palette, keeps k-means interactive
+    static MAX_SAMPLES = 20000;
+
+    /**
+     * Extract `count` colors from an image, returned as hex strings (darkest to lightest)
+     */
+    static extract(imageData, count = 8, algorithm = 'median-cut', options = {}) {
+        const samples = this.sample(imageData, this.MAX_SAMPLES);
+        if (samples.length === 0) return [];
+
+        let colors;
+        switch (algorithm) {
+            case 'kmeans':
+                colors = this.kMeans(samples, count, options);
+                break;
+            case 'octree':
+                colors = this.octree(samples, count);
+                break;
+            default:
+                colors = this.medianCut(samples, count);
+        }
+
+        // Duplicates appear when the image has fewer distinct colors than requested
+        return [...new Set(ColorUtils.sortPaletteByLuminance(colors)
+            .map(([r, g, b]) => ColorUtils.rgbToHex(r, g, b)))];
+    }
+
+    /**
+     * Evenly spaced pixel sample as a flat [r, g, b, ...] array (transparent pixels skipped)
+     */
+    static sample(imageData, maxSamples) {
+        const { data, width, height } = imageData;
+        const step = Math.max(1, Math.ceil(Math.sqrt((width * height) / maxSamples)));
+        const samples = [];
+
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const i = (y * width + x) * 4;
+                if (data[i + 3] < 128) continue;
+                samples.push(data[i], data[i + 1], data[i + 2]);
+            }
+        }
+        return Uint8Array.from(samples);
+    }
+
+    /**
+     * Median cut: repeatedly split the box with the widest channel range at its median
+     */
+    static medianCut(samples, count) {
+        const n = samples.length / 3;
+        const boxes = [this.createBox(samples, Array.from({ length: n }, (_, i) => i))];
+
+        while (boxes.length < count) {
+            // Widest box that can still be split
+            let target = -1;
+            for (let i = 0; i < boxes.length; i++) {
+                if (boxes[i].range > 0 && (target < 0 || boxes[i].range > boxes[target].range)) {
+                    target = i;
+                }
+            }
+            if (target < 0) break;
+
+            const box = boxes[target];
+            const channel = box.channel;
+            const sorted = box.indices.sort((a, b) => samples[a * 3 + channel] - samples[b * 3 + channel]);
+
+            // Split at the median, but never between equal values
+            let mid = sorted.length >> 1;
+            const median = samples[sorted[mid] * 3 + channel];
+            while (mid > 0 && samples[sorted[mid - 1] * 3 + channel] === median) mid--;
+            if (mid === 0) {
+                mid = sorted.length >> 1;
+                while (mid < sorted.length && samples[sorted[mid] * 3 + channel] === median) mid++;
+            }
+
+            boxes.splice(target, 1,
+                this.createBox(samples, sorted.slice(0, mid)),
+                this.createBox(samples, sorted.slice(mid)));
+        }
+
+        return boxes.map(box => box.color);
+    }
+
+    /**
+     * Median cut box: sample indices, widest channel, its range and the average color
+     */
+    static createBox(samples, indices) {
+        const min = [255, 255, 255];
+        const max = [0, 0, 0];
+        const sum = [0, 0, 0];
+
+        for (const index of indices) {
+            for (let c = 0; c < 3; c++) {
+                const v = samples[index * 3 + c];
+                if (v < min[c]) min[c] = v;
+                if (v > max[c]) max[c] = v;
+                sum[c] += v;
+            }
+        }
+
+        const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const channel = ranges.indexOf(Math.max(...ranges));
+
+        return {
+            indices,
+            channel,
+            range: ranges[channel],
+            color: sum.map(s => Math.round(s / indices.length))
+        };
+    }
+
+    /**
+     * K-means clustering in CIELAB with k-means++ seeding (seeded, so results are repeatable)
+     */
+    static kMeans(samples, count, options = {}) {
+        const { seed = 1, iterations = 16 } = options;
+        const n = samples.length / 3;
+        const k = Math.min(count, n);
+        const random = new SeededRandom(seed);
+
+        const lab = new Float32Array(n * 3);
+        for (let i = 0; i < n; i++) {
+            lab.set(ColorUtils.rgbToLab(samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2]), i * 3);
+        }
+
+        const distSq = (i, centroids, j) => {
+            const dL = lab[i * 3] - centroids[j * 3];
+            const da = lab[i * 3 + 1] - centroids[j * 3 + 1];
+            const db = lab[i * 3 + 2] - centroids[j * 3 + 2];
+            return dL * dL + da * da + db * db;
+        };
+
+        // k-means++: each next center is picked with probability ~ squared distance
+        const centroids = new Float32Array(k * 3);
+        let centers = k;
+        const nearest = new Float32Array(n).fill(Infinity);
+        let pick = Math.floor(random.next() * n);
+        for (let j = 0; j < k; j++) {
+            centroids.set(lab.subarray(pick * 3, pick * 3 + 3), j * 3);
+
+            let total = 0;
+            for (let i = 0; i < n; i++) {
+                const d = distSq(i, centroids, j);
+                if (d < nearest[i]) nearest[i] = d;
+                total += nearest[i];
+            }
+            if (total === 0) {
+                // Fewer distinct colors than requested
+                centers = j + 1;
+                break;
+            }
+
+            let target = random.next() * total;
+            for (pick = 0; pick < n - 1; pick++) {
+                target -= nearest[pick];
+                if (target <= 0) break;
+            }
+        }
+
+        // Lloyd iterations
+        const sums = new Float64Array(k * 3);
+        const sizes = new Uint32Array(k);
+        for (let iter = 0; iter < iterations; iter++) {
+            sums.fill(0);
+            sizes.fill(0);
+
+            for (let i = 0; i < n; i++) {
+                let best = 0, bestDist = Infinity;
+                for (let j = 0; j < centers; j++) {
+                    const d = distSq(i, centroids, j);
+                    if (d < bestDist) { bestDist = d; best = j; }
+                }
+                sizes[best]++;
+                sums[best * 3] += lab[i * 3];
+                sums[best * 3 + 1] += lab[i * 3 + 1];
+                sums[best * 3 + 2] += lab[i * 3 + 2];
+            }
+
+            // Move centers; stop once they settle (empty clusters keep their position)
+            let moved = 0;
+            for (let j = 0; j < centers; j++) {
+                if (!sizes[j]) continue;
+                for (let c = 0; c < 3; c++) {
+                    const next = sums[j * 3 + c] / sizes[j];
+                    moved = Math.max(moved, Math.abs(next - centroids[j * 3 + c]));
+                    centroids[j * 3 + c] = next;
+                }
+            }
+            if (moved < 0.5) break;
+        }
+
+        const colors = [];
+        for (let j = 0; j < centers; j++) {
+            colors.push(ColorUtils.labToRgb(centroids[j * 3], centroids[j * 3 + 1], centroids[j * 3 + 2]));
+        }
+        return colors;
+    }
+
+    /**
+     * Octree quantization (Gervautz-Purgathofer)
+     * Colors are inserted into an 8-level tree, then the least used deepest nodes are merged
+     */
+    static octree(samples, count) {
+        const DEPTH = 8;
+        const reducible = Array.from({ length: DEPTH }, () => []);
+        const createNode = (level) => ({
+            level,
+            pixels: 0,
+            sum: [0, 0, 0],
+            children: level < DEPTH ? new Array(8).fill(null) : null
+        });
+        const root = createNode(0);
+        let leaves = 0;
+
+        for (let i = 0; i < samples.length; i += 3) {
+            const r = samples[i], g = samples[i + 1], b = samples[i + 2];
+            // Every node on the path carries its subtree's totals, so any node can become a leaf
+            let node = root;
+            root.pixels++;
+            root.sum[0] += r;
+            root.sum[1] += g;
+            root.sum[2] += b;
+            for (let level = 0; level < DEPTH; level++) {
+                const shift = 7 - level;
+                const index = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+                let child = node.children[index];
+                if (!child) {
+                    child = createNode(level + 1);
+                    node.children[index] = child;
+                    if (child.children) reducible[child.level].push(child);
+                    else leaves++;
+                }
+                node = child;
+                node.pixels++;
+                node.sum[0] += r;
+                node.sum[1] += g;
+                node.sum[2] += b;
+            }
+        }
+
+        // Leaves below a node (children of skipped merges can still be inner nodes)
+        const countLeaves = (node) => node.children
+            ? node.children.reduce((total, child) => total + (child ? countLeaves(child) : 0), 0)
+            : 1;
+
+        // Merge the children of the deepest, least populated nodes into their parent
+        // (a merge that would leave fewer than `count` colors is skipped)
+        for (let level = DEPTH - 1; level >= 0 && leaves > count; level--) {
+            const nodes = level === 0 ? [root] : reducible[level];
+            nodes.sort((a, b) => b.pixels - a.pixels);
+
+            while (nodes.length && leaves > count) {
+                const node = nodes.pop();
+                const subtreeLeaves = countLeaves(node);
+                if (leaves - subtreeLeaves + 1 < count) continue;
+
+                // The node already holds the sum of its whole subtree
+                node.children = null;
+                leaves -= subtreeLeaves - 1;
+            }
+        }
+
+        const nodes = [];
+        const collect = (node) => {
+            if (!node.children) {
+                nodes.push(node);
+                return;
+            }
+            node.children.forEach(child => child && collect(child));
+        };
+        collect(root);
+
+        // Any remaining excess: fold the rarest color into its closest neighbour
+        const colorOf = node => node.sum.map(s => s / node.pixels);
+        while (nodes.length > count) {
+            nodes.sort((a, b) => b.pixels - a.pixels);
+            const rare = nodes.pop();
+            const color = colorOf(rare);
+            let closest = nodes[0], bestDist = Infinity;
+            for (const node of nodes) {
+                const d = ColorUtils.euclideanSq(color, colorOf(node));
+                if (d < bestDist) { bestDist = d; closest = node; }
+            }
+            closest.pixels += rare.pixels;
+            closest.sum = closest.sum.map((s, c) => s + rare.sum[c]);
+        }
+
+        return nodes.map(node => colorOf(node).map(Math.round));
+    }
+}
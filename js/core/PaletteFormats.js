@@ -0,0 +1,492 @@
+/**
+ * PaletteFormats - Palette file import/export
+ * GIMP .gpl, Adobe .ase/.aco, Paint.NET .txt, JASC/RIFF .pal, Lospec .hex and PNG swatch strips
+ */
+
+import { ColorUtils } from './ColorUtils.js';
+import { CanvasUtils } from './CanvasUtils.js';
+
+export class PaletteFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaletteFormatError';
+    }
+}
+
+export class PaletteFormats {
+    // Export formats, keyed by file extension
+    static FORMATS = {
+        gpl: { name: 'GIMP (.gpl)', mimeType: 'text/plain' },
+        ase: { name: 'Adobe Swatch Exchange (.ase)', mimeType: 'application/octet-stream' },
+        aco: { name: 'Photoshop (.aco)', mimeType: 'application/octet-stream' },
+        txt: { name: 'Paint.NET (.txt)', mimeType: 'text/plain' },
+        pal: { name: 'JASC (.pal)', mimeType: 'text/plain' },
+        hex: { name: 'Lospec (.hex)', mimeType: 'text/plain' },
+        png: { name: 'PNG csík (1 px / szín)', mimeType: 'image/png' }
+    };
+
+    // Upper bound for imported palettes (matches StateManager.MAX_COLORS)
+    static MAX_COLORS = 256;
+
+    /**
+     * File extension, lowercase, without the dot
+     */
+    static getExtension(file) {
+        const match = /\.([^.]+)$/.exec(file.name || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Palette file by extension (PNG excluded - see isSwatchImage)
+     */
+    static isPaletteFile(file) {
+        const extension = this.getExtension(file);
+        return extension !== 'png' && extension in this.FORMATS;
+    }
+
+    /**
+     * PNG that is a single row or column of pixels, i.e. a swatch strip rather than a photo
+     */
+    static async isSwatchImage(file) {
+        if (file.type !== 'image/png') return false;
+        try {
+            const bitmap = await createImageBitmap(file);
+            const strip = bitmap.width === 1 || bitmap.height === 1;
+            bitmap.close();
+            return strip;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Read a palette file - resolves to { name, colors: ['#rrggbb', ...] }
+     */
+    static async parseFile(file) {
+        const extension = this.getExtension(file);
+        const name = (file.name || '').replace(/\.[^.]+$/, '');
+        let palette;
+
+        switch (extension) {
+            case 'gpl':
+                palette = this.parseGpl(await file.text());
+                break;
+            case 'ase':
+                palette = { colors: this.parseAse(await file.arrayBuffer()) };
+                break;
+            case 'aco':
+                palette = { colors: this.parseAco(await file.arrayBuffer()) };
+                break;
+            case 'txt':
+                palette = { colors: this.parsePaintNet(await file.text()) };
+                break;
+            case 'pal':
+                palette = { colors: this.parsePal(await file.arrayBuffer()) };
+                break;
+            case 'hex':
+                palette = { colors: this.parseHex(await file.text()) };
+                break;
+            case 'png':
+                palette = { colors: await this.parseImage(file) };
+                break;
+            default:
+                throw new PaletteFormatError(`Unsupported palette format: .${extension}`);
+        }
+
+        const colors = [...new Set(palette.colors)];
+        if (colors.length === 0) {
+            throw new PaletteFormatError('No colors found in palette file');
+        }
+        if (colors.length > this.MAX_COLORS) {
+            throw new PaletteFormatError(`Palette has ${colors.length} colors (max ${this.MAX_COLORS})`);
+        }
+        return { name: palette.name || name, colors };
+    }
+
+    /**
+     * Write a palette in the given format - resolves to a Blob
+     */
+    static async toBlob(colors, format = 'gpl', name = 'PicFixer') {
+        const mimeType = this.FORMATS[format]?.mimeType;
+        switch (format) {
+            case 'gpl':
+                return new Blob([this.writeGpl(colors, name)], { type: mimeType });
+            case 'ase':
+                return new Blob([this.writeAse(colors)], { type: mimeType });
+            case 'aco':
+                return new Blob([this.writeAco(colors)], { type: mimeType });
+            case 'txt':
+                return new Blob([this.writePaintNet(colors, name)], { type: mimeType });
+            case 'pal':
+                return new Blob([this.writeJascPal(colors)], { type: mimeType });
+            case 'hex':
+                return new Blob([this.writeHex(colors)], { type: mimeType });
+            case 'png':
+                return this.writeImage(colors);
+            default:
+                throw new PaletteFormatError(`Unsupported palette format: .${format}`);
+        }
+    }
+
+    // ==================== TEXT FORMATS ====================
+
+    /**
+     * GIMP palette: "GIMP Palette" header, then "r g b [name]" lines
+     */
+    static parseGpl(text) {
+        const lines = text.split(/\r?\n/);
+        if (!lines[0]?.trim().startsWith('GIMP Palette')) {
+            throw new PaletteFormatError('Missing "GIMP Palette" header');
+        }
+
+        let name = '';
+        const colors = [];
+        for (const line of lines.slice(1)) {
+            const nameMatch = /^Name:\s*(.*)$/.exec(line);
+            if (nameMatch) {
+                name = nameMatch[1].trim();
+                continue;
+            }
+            const match = /^\s*(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+            if (match) {
+                colors.push(ColorUtils.rgbToHex(+match[1], +match[2], +match[3]));
+            }
+        }
+        return { name, colors };
+    }
+
+    static writeGpl(colors, name) {
+        const lines = ['GIMP Palette', `Name: ${name}`, `Columns: ${Math.min(16, colors.length)}`, '#'];
+        for (const hex of colors) {
+            const [r, g, b] = ColorUtils.hexToRgb(hex);
+            lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${hex}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Paint.NET palette: ";" comments, one AARRGGBB value per line
+     */
+    static parsePaintNet(text) {
+        const colors = [];
+        for (const line of text.split(/\r?\n/)) {
+            const value = line.trim();
+            if (!value || value.startsWith(';')) continue;
+            const match = /^(?:[0-9a-f]{2})?([0-9a-f]{6})$/i.exec(value);
+            if (!match) throw new PaletteFormatError(`Invalid Paint.NET color: ${value}`);
+            colors.push('#' + match[1].toLowerCase());
+        }
+        return colors;
+    }
+
+    static writePaintNet(colors, name) {
+        const lines = ['; paint.net Palette File', `; ${name}`, `; Colors: ${colors.length}`];
+        for (const hex of colors) {
+            lines.push('FF' + hex.slice(1).toUpperCase());
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * JASC (Paint Shop Pro) palette: header, version, count, then "r g b" lines
+     */
+    static parseJascPal(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim());
+        if (lines[0] !== 'JASC-PAL') {
+            throw new PaletteFormatError('Missing "JASC-PAL" header');
+        }
+
+        const count = parseInt(lines[2]);
+        const colors = [];
+        for (const line of lines.slice(3, 3 + count)) {
+            const match = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+            if (match) colors.push(ColorUtils.rgbToHex(+match[1], +match[2], +match[3]));
+        }
+        return colors;
+    }
+
+    static writeJascPal(colors) {
+        const lines = ['JASC-PAL', '0100', String(colors.length)];
+        for (const hex of colors) {
+            lines.push(ColorUtils.hexToRgb(hex).join(' '));
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Lospec .hex: one rrggbb per line
+     */
+    static parseHex(text) {
+        const colors = [];
+        for (const line of text.split(/\r?\n/)) {
+            const value = line.trim();
+            if (!value) continue;
+            const match = /^#?([0-9a-f]{6})$/i.exec(value);
+            if (!match) throw new PaletteFormatError(`Invalid hex color: ${value}`);
+            colors.push('#' + match[1].toLowerCase());
+        }
+        return colors;
+    }
+
+    static writeHex(colors) {
+        return colors.map(hex => hex.slice(1).toLowerCase()).join('\n') + '\n';
+    }
+
+    // ==================== BINARY FORMATS ====================
+
+    /**
+     * .pal is either JASC text or a Microsoft RIFF palette
+     */
+    static parsePal(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'RIFF') {
+            return this.parseJascPal(new TextDecoder().decode(bytes));
+        }
+
+        // RIFF "PAL " form: find the "data" chunk (version, count, then r g b flags entries)
+        const view = new DataView(buffer);
+        for (let offset = 12; offset + 8 <= bytes.length;) {
+            const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+            const size = view.getUint32(offset + 4, true);
+            if (id === 'data') {
+                const count = view.getUint16(offset + 10, true);
+                const colors = [];
+                for (let i = 0; i < count; i++) {
+                    const p = offset + 12 + i * 4;
+                    colors.push(ColorUtils.rgbToHex(bytes[p], bytes[p + 1], bytes[p + 2]));
+                }
+                return colors;
+            }
+            offset += 8 + size + (size & 1);
+        }
+        throw new PaletteFormatError('RIFF palette has no data chunk');
+    }
+
+    /**
+     * Photoshop .aco: version 1 block (and optional version 2 block with names), big-endian
+     */
+    static parseAco(buffer) {
+        const view = new DataView(buffer);
+        const version = view.getUint16(0);
+        if (version !== 1 && version !== 2) {
+            throw new PaletteFormatError(`Unknown ACO version: ${version}`);
+        }
+
+        const count = view.getUint16(2);
+        const colors = [];
+        let offset = 4;
+        for (let i = 0; i < count; i++) {
+            const color = this.readAcoColor(view, offset);
+            if (color) colors.push(color);
+            offset += 10;
+
+            // Version 2 entries carry a UTF-16 name (length includes the terminator)
+            if (version === 2) {
+                offset += 4 + view.getUint32(offset) * 2;
+            }
+        }
+        return colors;
+    }
+
+    /**
+     * One ACO color record (color space + four 16-bit components), null for unsupported spaces
+     */
+    static readAcoColor(view, offset) {
+        const space = view.getUint16(offset);
+        const w = view.getUint16(offset + 2);
+        const x = view.getUint16(offset + 4);
+        const y = view.getUint16(offset + 6);
+        const z = view.getUint16(offset + 8);
+
+        switch (space) {
+            case 0: // RGB
+                return ColorUtils.rgbToHex(w / 257, x / 257, y / 257);
+            case 1: { // HSB
+                const h = (w / 65536) * 6;
+                const s = x / 65535;
+                const v = (y / 65535) * 255;
+                const f = h - Math.floor(h);
+                const p = v * (1 - s), q = v * (1 - s * f), t = v * (1 - s * (1 - f));
+                const rgb = [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][Math.floor(h) % 6];
+                return ColorUtils.rgbToHex(...rgb);
+            }
+            case 2: { // CMYK (0 = full ink)
+                const k = z / 65535;
+                return ColorUtils.rgbToHex(
+                    (w / 65535) * k * 255,
+                    (x / 65535) * k * 255,
+                    (y / 65535) * k * 255
+                );
+            }
+            case 7: { // Lab (L 0-10000, a/b signed hundredths)
+                const toSigned = v => (v > 32767 ? v - 65536 : v);
+                return ColorUtils.rgbToHex(...ColorUtils.labToRgb(w / 100, toSigned(x) / 100, toSigned(y) / 100));
+            }
+            case 8: // Grayscale (0-10000, 10000 = black)
+                return ColorUtils.rgbToHex(...Array(3).fill(255 - (w / 10000) * 255));
+            default:
+                return null;
+        }
+    }
+
+    static writeAco(colors) {
+        const names = colors.map(hex => hex.toUpperCase());
+        const size = 4 + colors.length * 10 + 4 + names.reduce((sum, name) => sum + 14 + (name.length + 1) * 2, 0);
+        const view = new DataView(new ArrayBuffer(size));
+        let offset = 0;
+
+        // Version 1 (plain) followed by version 2 (with names) for newer readers
+        for (const version of [1, 2]) {
+            view.setUint16(offset, version);
+            view.setUint16(offset + 2, colors.length);
+            offset += 4;
+            colors.forEach((hex, i) => {
+                const [r, g, b] = ColorUtils.hexToRgb(hex);
+                view.setUint16(offset, 0);
+                view.setUint16(offset + 2, r * 257);
+                view.setUint16(offset + 4, g * 257);
+                view.setUint16(offset + 6, b * 257);
+                view.setUint16(offset + 8, 0);
+                offset += 10;
+                if (version === 2) {
+                    offset = this.writeUtf16(view, offset, names[i], true);
+                }
+            });
+        }
+        return view.buffer;
+    }
+
+    /**
+     * Adobe Swatch Exchange: "ASEF" header and color / group blocks, big-endian
+     */
+    static parseAse(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'ASEF') {
+            throw new PaletteFormatError('Missing "ASEF" header');
+        }
+
+        const blocks = view.getUint32(8);
+        const colors = [];
+        let offset = 12;
+        for (let i = 0; i < blocks && offset + 6 <= bytes.length; i++) {
+            const type = view.getUint16(offset);
+            const length = view.getUint32(offset + 2);
+            const body = offset + 6;
+            offset = body + length;
+            if (type !== 0x0001) continue; // group start / end
+
+            // Name (UTF-16, length in characters incl. terminator), then model + float components
+            const modelOffset = body + 2 + view.getUint16(body) * 2;
+            const model = String.fromCharCode(...bytes.subarray(modelOffset, modelOffset + 4));
+            const value = k => view.getFloat32(modelOffset + 4 + k * 4);
+
+            switch (model) {
+                case 'RGB ':
+                    colors.push(ColorUtils.rgbToHex(value(0) * 255, value(1) * 255, value(2) * 255));
+                    break;
+                case 'CMYK': {
+                    const k = 1 - value(3);
+                    colors.push(ColorUtils.rgbToHex(
+                        (1 - value(0)) * k * 255,
+                        (1 - value(1)) * k * 255,
+                        (1 - value(2)) * k * 255
+                    ));
+                    break;
+                }
+                case 'LAB ':
+                    colors.push(ColorUtils.rgbToHex(...ColorUtils.labToRgb(value(0) * 100, value(1), value(2))));
+                    break;
+                case 'Gray':
+                    colors.push(ColorUtils.rgbToHex(...Array(3).fill(value(0) * 255)));
+                    break;
+            }
+        }
+        return colors;
+    }
+
+    static writeAse(colors) {
+        const names = colors.map(hex => hex.toUpperCase());
+        // Block: type + length, name length + UTF-16 name + terminator, model, 3 floats, color type
+        const blockSize = name => 6 + 2 + (name.length + 1) * 2 + 4 + 12 + 2;
+        const size = 12 + names.reduce((sum, name) => sum + blockSize(name), 0);
+        const view = new DataView(new ArrayBuffer(size));
+
+        [0x41, 0x53, 0x45, 0x46].forEach((c, i) => view.setUint8(i, c)); // "ASEF"
+        view.setUint16(4, 1);
+        view.setUint16(6, 0);
+        view.setUint32(8, colors.length);
+
+        let offset = 12;
+        colors.forEach((hex, i) => {
+            const [r, g, b] = ColorUtils.hexToRgb(hex);
+            view.setUint16(offset, 0x0001);
+            view.setUint32(offset + 2, blockSize(names[i]) - 6);
+            offset += 6;
+            view.setUint16(offset, names[i].length + 1);
+            offset = this.writeUtf16(view, offset + 2, names[i], false);
+            [0x52, 0x47, 0x42, 0x20].forEach((c, k) => view.setUint8(offset + k, c)); // "RGB "
+            view.setFloat32(offset + 4, r / 255);
+            view.setFloat32(offset + 8, g / 255);
+            view.setFloat32(offset + 12, b / 255);
+            view.setUint16(offset + 16, 2); // normal (non-spot) color
+            offset += 18;
+        });
+        return view.buffer;
+    }
+
+    /**
+     * Write a null-terminated UTF-16BE string, optionally prefixed with its 32-bit length
+     * Returns the offset after the string
+     */
+    static writeUtf16(view, offset, text, withLength) {
+        if (withLength) {
+            view.setUint32(offset, text.length + 1);
+            offset += 4;
+        }
+        for (let i = 0; i < text.length; i++) {
+            view.setUint16(offset, text.charCodeAt(i));
+            offset += 2;
+        }
+        view.setUint16(offset, 0);
+        return offset + 2;
+    }
+
+    // ==================== IMAGE SWATCHES ====================
+
+    /**
+     * Colors of a swatch image in reading order (transparent pixels skipped)
+     */
+    static async parseImage(file) {
+        const bitmap = await createImageBitmap(file);
+        const canvas = CanvasUtils.createCanvas(bitmap.width, bitmap.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const colors = new Set();
+        for (let i = 0; i < data.length && colors.size <= this.MAX_COLORS; i += 4) {
+            if (data[i + 3] < 128) continue;
+            colors.add(ColorUtils.rgbToHex(data[i], data[i + 1], data[i + 2]));
+        }
+        return [...colors];
+    }
+
+    /**
+     * One pixel per color, in a single row
+     */
+    static async writeImage(colors) {
+        const canvas = CanvasUtils.createCanvas(colors.length, 1);
+        const ctx = canvas.getContext('2d');
+        colors.forEach((hex, i) => {
+            ctx.fillStyle = hex;
+            ctx.fillRect(i, 0, 1, 1);
+        });
+
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: 'image/png' });
+        }
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * PaletteLookup - Cached nearest-color lookup for a palette + metric
+ * A quantized 3D LUT (6 bits per channel) filled lazily: each cell is matched once,
+ * then every pixel falling into it is a single array read
+ * Cells on a boundary between palette colors (corners matching different colors) are
+ * matched per color instead, so pixels get the same answer as the full palette scan
+ * (CIEDE2000 can differ on a few near-gray pixels - see bench/palette-lookup.js)
+ */
+
+import { ColorUtils } from './ColorUtils.js';
+
+// Cell states in the table (values >= 0 are the palette index of the whole cell)
+const UNKNOWN = -1;
+const MIXED = -2;
+
+export class PaletteLookup {
+    // Bits kept per channel - 6 bits = 64³ cells, cell width 4
+    static BITS = 6;
+
+    // Recently used lookups, keyed by metric + palette
+    static cache = new Map();
+    static MAX_CACHED = 8;
+
+    /**
+     * Get the (cached) lookup for a palette and metric
+     */
+    static get(palette, metric = 'weighted') {
+        const key = metric + ':' + palette.map(c => c.join(',')).join(';');
+        let lookup = this.cache.get(key);
+
+        if (lookup) {
+            // Refresh LRU position
+            this.cache.delete(key);
+        } else {
+            lookup = new PaletteLookup(palette, metric);
+            if (this.cache.size >= this.MAX_CACHED) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        }
+
+        this.cache.set(key, lookup);
+        return lookup;
+    }
+
+    constructor(palette, metric = 'weighted') {
+        const bits = PaletteLookup.BITS;
+        this.palette = palette;
+        this.metric = metric;
+        this.shift = 8 - bits;
+        this.bits = bits;
+
+        // Cell table: UNKNOWN, MIXED or the index every color of the cell maps to
+        this.table = new Int16Array(1 << (bits * 3)).fill(UNKNOWN);
+
+        // Matches at the cell corners (lattice of (2^bits + 1)³ points, shared by neighbouring cells)
+        this.side = (1 << bits) + 1;
+        this.corners = new Int16Array(this.side ** 3).fill(UNKNOWN);
+
+        // MIXED cells: per-color matches of the cell's 4×4×4 colors (UNKNOWN until matched),
+        // one block per cell in a shared pool; blocks[cell key] = block start
+        this.blockSize = 1 << (this.shift * 3);
+        this.blocks = new Int32Array(this.table.length);
+        this.pool = new Int16Array(this.blockSize * 1024).fill(UNKNOWN);
+        this.poolUsed = 0;
+        this.exactMatch = ColorUtils.createMatcher(palette, metric);
+
+        // Bound for hot loops: (r, g, b) => palette index
+        this.match = (r, g, b) => this.find(r, g, b);
+    }
+
+    /**
+     * Nearest palette index for a color (channels may be floats or out of range)
+     */
+    find(r, g, b) {
+        const shift = this.shift;
+        const bits = this.bits;
+        r = ColorUtils.clamp(Math.round(r));
+        g = ColorUtils.clamp(Math.round(g));
+        b = ColorUtils.clamp(Math.round(b));
+        const key = ((r >> shift) << (bits * 2)) | ((g >> shift) << bits) | (b >> shift);
+
+        let index = this.table[key];
+        if (index === UNKNOWN) index = this.fillCell(key, r >> shift, g >> shift, b >> shift);
+        if (index !== MIXED) return index;
+
+        // Boundary cell: exact match, once per color
+        const mask = (1 << shift) - 1;
+        const slot = this.blocks[key] + ((((r & mask) << shift | (g & mask)) << shift) | (b & mask));
+        index = this.pool[slot];
+        if (index === UNKNOWN) {
+            index = this.exactMatch(r, g, b);
+            this.pool[slot] = index;
+        }
+        return index;
+    }
+
+    /**
+     * Match a cell: one index when all its corners agree, otherwise MIXED (matched per color)
+     */
+    fillCell(key, ri, gi, bi) {
+        const index = this.matchCorner(ri, gi, bi);
+        for (let corner = 1; corner < 8; corner++) {
+            if (this.matchCorner(ri + (corner >> 2), gi + ((corner >> 1) & 1), bi + (corner & 1)) !== index) {
+                this.blocks[key] = this.allocateBlock();
+                this.table[key] = MIXED;
+                return MIXED;
+            }
+        }
+        this.table[key] = index;
+        return index;
+    }
+
+    /**
+     * Start of a fresh per-color block in the pool (grown by doubling)
+     */
+    allocateBlock() {
+        if (this.poolUsed + this.blockSize > this.pool.length) {
+            const pool = new Int16Array(this.pool.length * 2).fill(UNKNOWN);
+            pool.set(this.pool);
+            this.pool = pool;
+        }
+        const start = this.poolUsed;
+        this.poolUsed += this.blockSize;
+        return start;
+    }
+
+    /**
+     * Exact match at a lattice point (cell corner), cached
+     */
+    matchCorner(x, y, z) {
+        const side = this.side;
+        const key = (x * side + y) * side + z;
+        let index = this.corners[key];
+        if (index === UNKNOWN) {
+            const max = 255;
+            const shift = this.shift;
+            index = this.exactMatch(Math.min(max, x << shift), Math.min(max, y << shift), Math.min(max, z << shift));
+            this.corners[key] = index;
+        }
+        return index;
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * ProcessingPipeline - The pixel work behind ImageProcessor
+ * DOM-free, so the same code runs in the processing worker and on the main thread
+ */
+
+import { ColorUtils } from './ColorUtils.js';
+import { CanvasUtils } from './CanvasUtils.js';
+import { DiffusionKernels } from './DiffusionKernels.js';
+import { DitheringEngine } from './DitheringEngine.js';
+import { EffectsEngine } from './EffectsEngine.js';
+import { SeededRandom } from './SeededRandom.js';
+import { ThresholdMaps } from './ThresholdMaps.js';
+import { ToneAdjust } from './ToneAdjust.js';
+
+/**
+ * Thrown when a newer job supersedes the one being processed
+ */
+export class ProcessingCancelledError extends Error {
+    constructor(jobId) {
+        super(`Processing job ${jobId} was cancelled`);
+        this.name = 'ProcessingCancelledError';
+        this.jobId = jobId;
+    }
+}
+
+export class ProcessingPipeline {
+    /**
+     * Run all processing steps on the source image
+     * source: { imageData, canvas } - original pixels and a canvas holding them
+     * options.checkpoint: awaited between steps, throws ProcessingCancelledError to abort
+     * options.outputWidth/outputHeight: render a smaller proxy (preview) instead of full size
+     * Returns the processed ImageData at output size
+     */
+    static async run(source, settings, options = {}) {
+        const {
+            checkpoint = async () => {},
+            outputWidth = source.imageData.width,
+            outputHeight = source.imageData.height
+        } = options;
+
+        const {
+            colors = ['#000000', '#ffffff'],
+            ditherType = 'floyd-steinberg',
+            ditherStrength = 100,
+            ditherSerpentine = false,
+            ditherErrorAttenuation = 100,
+            ditherLinear = false,
+            colorMetric = 'weighted',
+            orderedMatrixSize = 4,
+            orderedMode = 'luminance',
+            orderedMatrix = 'bayer',
+            customThresholdMap = null,
+            pixelScale = 1.0,
+            posterizeEnabled = false,
+            posterizeLevels = 4,
+            posterizeMode = 'luminance',
+            posterizeUsePalette = true,
+            alphaMode = 'preserve',
+            alphaThreshold = 128,
+            alphaBackground = 0,
+            blobEnabled = true,
+            blobIntensity = 30,
+            blobDensity = 15,
+            blobSizeMin = 50,
+            blobSizeMax = 200,
+            blobSoftness = 60,
+            blobBlendMode = 'overlay',
+            noiseEnabled = false,
+            noiseAmount = 10,
+            seed = 0,
+            originalBlend = 0
+        } = settings;
+
+        // Convert hex colors to RGB arrays
+        const palette = colors.map(c => ColorUtils.hexToRgb(c));
+
+        // Get original dimensions
+        const origWidth = source.imageData.width;
+        const origHeight = source.imageData.height;
+
+        // Proxy scale factor (1 for a full-resolution render)
+        const outputScale = outputWidth / origWidth;
+
+        // Calculate working dimensions for pixelation
+        // A proxy never works above its own size, but pixel cells coarser than it stay identical
+        const cellScale = Math.max(1, pixelScale);
+        const workWidth = Math.min(outputWidth, Math.floor(origWidth / cellScale));
+        const workHeight = Math.min(outputHeight, Math.floor(origHeight / cellScale));
+        const needsResize = workWidth !== origWidth || workHeight !== origHeight;
+
+        // Step 0: Pixelation - downscale to working size
+        let imageData;
+        if (needsResize) {
+            // Create small canvas for downscaling
+            const smallCanvas = CanvasUtils.createCanvas(workWidth, workHeight);
+            const smallCtx = smallCanvas.getContext('2d');
+
+            // Draw original scaled down
+            smallCtx.drawImage(source.canvas, 0, 0, workWidth, workHeight);
+            imageData = smallCtx.getImageData(0, 0, workWidth, workHeight);
+        } else {
+            // Copy original data at full resolution
+            imageData = CanvasUtils.cloneImageData(source.imageData);
+        }
+
+        // Step 0b: Tone - levels, gamma, brightness/contrast, curve and saturation
+        // (settings missing here fall back to ToneAdjust.DEFAULTS, i.e. no change)
+        ToneAdjust.apply(imageData, settings);
+
+        // Flatten transparency onto the chosen palette color before anything is matched
+        const flattenColor = palette[Math.min(alphaBackground, palette.length - 1)];
+        if (alphaMode === 'flatten') {
+            EffectsEngine.flattenAlpha(imageData, flattenColor);
+        }
+
+        // Store clean copy for blending
+        const cleanOriginal = CanvasUtils.cloneImageData(imageData);
+        await checkpoint();
+
+        // Step 1: Posterization (if enabled)
+        if (posterizeEnabled) {
+            imageData = EffectsEngine.posterize(
+                imageData,
+                posterizeLevels,
+                posterizeMode,
+                posterizeUsePalette ? palette : null
+            );
+            await checkpoint();
+        }
+
+        // Step 2: Dithering
+        if (ditherStrength > 0) {
+            switch (ditherType) {
+                case 'ordered':
+                    imageData = DitheringEngine.orderedDither(imageData, palette, orderedMatrixSize, {
+                        mode: orderedMode,
+                        metric: colorMetric,
+                        thresholdMap: ThresholdMaps.get(orderedMatrix, orderedMatrixSize, customThresholdMap)
+                    });
+                    break;
+                case 'none':
+                    // If no posterization with palette, still quantize to palette
+                    if (!posterizeEnabled || !posterizeUsePalette) {
+                        imageData = DitheringEngine.quantize(imageData, palette, { metric: colorMetric });
+                    }
+                    break;
+                default:
+                    // Error diffusion - unknown types fall back to Floyd-Steinberg
+                    imageData = DitheringEngine.errorDiffusion(
+                        imageData,
+                        palette,
+                        DiffusionKernels[ditherType] || DiffusionKernels['floyd-steinberg'],
+                        {
+                            serpentine: ditherSerpentine,
+                            attenuation: ditherErrorAttenuation / 100,
+                            metric: colorMetric,
+                            linear: ditherLinear
+                        }
+                    );
+            }
+
+            // Blend with undithered version based on strength
+            if (ditherStrength < 100 && ditherType !== 'none') {
+                const blend = (100 - ditherStrength) / 100;
+                imageData = EffectsEngine.blendWithOriginal(imageData, cleanOriginal, blend);
+            }
+            await checkpoint();
+        }
+
+        // Step 2b: Alpha - the steps above only touch RGB
+        if (alphaMode === 'threshold') {
+            DitheringEngine.thresholdAlpha(imageData, alphaThreshold);
+        } else if (alphaMode === 'dither') {
+            // Same algorithm as the colors: threshold map, diffusion kernel, or a plain cut for 'none'
+            let alphaOptions = {};
+            if (ditherType === 'ordered') {
+                alphaOptions = { thresholdMap: ThresholdMaps.get(orderedMatrix, orderedMatrixSize, customThresholdMap) };
+            } else if (ditherType !== 'none') {
+                alphaOptions = {
+                    kernel: DiffusionKernels[ditherType] || DiffusionKernels['floyd-steinberg'],
+                    serpentine: ditherSerpentine,
+                    attenuation: ditherErrorAttenuation / 100
+                };
+            }
+            DitheringEngine.ditherAlpha(imageData, alphaOptions);
+        }
+        const hasAlpha = alphaMode !== 'flatten' && EffectsEngine.hasTransparency(imageData);
+
+        // Put processed data on output canvas (at output size)
+        const outputCanvas = CanvasUtils.createCanvas(outputWidth, outputHeight);
+        const outputCtx = outputCanvas.getContext('2d', { willReadFrequently: true });
+
+        if (workWidth !== outputWidth || workHeight !== outputHeight) {
+            // Scale up with nearest neighbor (pixelated)
+            outputCtx.imageSmoothingEnabled = false;
+            outputCtx.drawImage(CanvasUtils.fromImageData(imageData), 0, 0, outputWidth, outputHeight);
+            outputCtx.imageSmoothingEnabled = true;
+        } else {
+            outputCtx.putImageData(imageData, 0, 0);
+        }
+
+        // Step 3: Blob overlay (uses canvas operations)
+        // Sizes follow the proxy scale so previews match the full render
+        // Blend modes also paint into transparent areas, so the alpha from before is restored
+        let alphaMask = null;
+        if (blobEnabled && blobIntensity > 0) {
+            if (hasAlpha) alphaMask = outputCtx.getImageData(0, 0, outputWidth, outputHeight);
+            EffectsEngine.addBlobs(outputCtx, outputWidth, outputHeight, {
+                intensity: blobIntensity / 100,
+                density: blobDensity,
+                minSize: blobSizeMin * outputScale,
+                maxSize: blobSizeMax * outputScale,
+                softness: blobSoftness / 100,
+                blendMode: blobBlendMode,
+                random: SeededRandom.forStream(seed, 'blobs').toFunction()
+            });
+            await checkpoint();
+        }
+
+        imageData = outputCtx.getImageData(0, 0, outputWidth, outputHeight);
+        if (alphaMask) EffectsEngine.restoreAlpha(imageData, alphaMask);
+
+        // Step 4: Noise texture
+        if (noiseEnabled) {
+            imageData = EffectsEngine.addNoise(
+                imageData,
+                noiseAmount,
+                SeededRandom.forStream(seed, 'noise').toFunction()
+            );
+        }
+
+        // Step 5: Blend with original
+        if (originalBlend > 0) {
+            let original = source.imageData;
+            if (outputScale !== 1) {
+                const scaledCanvas = CanvasUtils.createCanvas(outputWidth, outputHeight);
+                const scaledCtx = scaledCanvas.getContext('2d');
+                scaledCtx.drawImage(source.canvas, 0, 0, outputWidth, outputHeight);
+                original = scaledCtx.getImageData(0, 0, outputWidth, outputHeight);
+            }
+            // Flattened result: blend with a flattened original too, or the hidden RGB
+            // of transparent pixels bleeds into the background
+            if (alphaMode === 'flatten') {
+                if (original === source.imageData) original = CanvasUtils.cloneImageData(original);
+                EffectsEngine.flattenAlpha(original, flattenColor);
+            }
+            imageData = EffectsEngine.blendWithOriginal(imageData, original, originalBlend / 100);
+        }
+
+        return imageData;
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * SeededRandom - Deterministic pseudo-random numbers
+ * Same seed = same blobs and grain, so a look can be regenerated exactly
+ */
+
+export class SeededRandom {
+    // Upper bound for generated seeds (kept short so they are easy to type)
+    static MAX_SEED = 1000000;
+
+    constructor(seed = 0) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     * Mulberry32: tiny, fast and plenty good for visual effects
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get next() as a plain function (for APIs expecting Math.random)
+     */
+    toFunction() {
+        return () => this.next();
+    }
+
+    /**
+     * Create an independent generator for a named stream
+     * Each effect gets its own stream, so changing one never reshuffles another
+     */
+    static forStream(seed, stream) {
+        // FNV-1a hash of the stream name mixed into the seed
+        let hash = 0x811C9DC5 ^ (seed >>> 0);
+        for (let i = 0; i < stream.length; i++) {
+            hash ^= stream.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return new SeededRandom(hash >>> 0);
+    }
+
+    /**
+     * Generate a fresh random seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * SeededRandom.MAX_SEED);
+    }
+}
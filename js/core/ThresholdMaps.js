@@ -0,0 +1,220 @@
+/**
+ * ThresholdMaps - Threshold textures for ordered dithering
+ * A map is { width, height, data: Float32Array } with thresholds in [0, 1), tiled over the image
+ */
+
+import { ColorUtils } from './ColorUtils.js';
+import { SeededRandom } from './SeededRandom.js';
+
+export class ThresholdMaps {
+    // Available map types
+    static TYPES = ['bayer', 'blue-noise', 'halftone', 'custom'];
+
+    // Blue noise is expensive to generate - one fixed-size tile is reused everywhere
+    static BLUE_NOISE_SIZE = 64;
+
+    // Generated maps, keyed by type (and size for the sized types)
+    static cache = new Map();
+
+    // Types whose map depends on the matrix size
+    static SIZED_TYPES = ['bayer', 'halftone'];
+
+    /**
+     * Get a threshold map by type
+     * Falls back to Bayer when a custom map is requested but none was uploaded
+     */
+    static get(type = 'bayer', size = 4, customMap = null) {
+        if (type === 'custom') {
+            return customMap || this.get('bayer', size);
+        }
+
+        const key = this.SIZED_TYPES.includes(type) ? `${type}:${size}` : type;
+        let map = this.cache.get(key);
+        if (!map) {
+            switch (type) {
+                case 'blue-noise':
+                    map = this.blueNoise(this.BLUE_NOISE_SIZE);
+                    break;
+                case 'halftone':
+                    map = this.halftone(size);
+                    break;
+                default:
+                    map = this.bayer(size);
+            }
+            this.cache.set(key, map);
+        }
+        return map;
+    }
+
+    /**
+     * Bayer matrix, built recursively (sizes snap down to a power of two)
+     */
+    static bayer(size = 4) {
+        let n = 2;
+        let matrix = [0, 2, 3, 1];
+        while (n * 2 <= size) {
+            const next = new Array(n * n * 4);
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    const v = matrix[y * n + x] * 4;
+                    next[y * 2 * n + x] = v;
+                    next[y * 2 * n + x + n] = v + 2;
+                    next[(y + n) * 2 * n + x] = v + 3;
+                    next[(y + n) * 2 * n + x + n] = v + 1;
+                }
+            }
+            matrix = next;
+            n *= 2;
+        }
+        return this.fromRanks(matrix, n, n);
+    }
+
+    /**
+     * Clustered-dot halftone screen (45° Euclidean dot)
+     * Dots grow from the cell center and the corners, like print halftoning
+     */
+    static halftone(size = 4) {
+        const values = new Array(size * size);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const u = (x + 0.5) / size;
+                const v = (y + 0.5) / size;
+                values[y * size + x] = Math.cos(2 * Math.PI * u) + Math.cos(2 * Math.PI * v);
+            }
+        }
+        return this.fromValues(values, size, size);
+    }
+
+    /**
+     * Blue-noise texture via Ulichney's void-and-cluster method
+     * Generated locally with a fixed seed, so every run gets the same tile
+     */
+    static blueNoise(size = 64, sigma = 1.5) {
+        const n = size * size;
+
+        // Toroidal Gaussian filter lookup by (dx, dy)
+        const kernel = new Float32Array(n);
+        for (let dy = 0; dy < size; dy++) {
+            for (let dx = 0; dx < size; dx++) {
+                const wx = Math.min(dx, size - dx);
+                const wy = Math.min(dy, size - dy);
+                kernel[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+            }
+        }
+
+        const pattern = new Uint8Array(n);
+        const energy = new Float32Array(n);
+
+        // Add (sign = 1) or remove (sign = -1) a point's contribution to the energy field
+        const splat = (index, sign) => {
+            const px = index % size;
+            const py = (index / size) | 0;
+            for (let y = 0; y < size; y++) {
+                const ky = ((y - py + size) % size) * size;
+                const row = y * size;
+                for (let x = 0; x < size; x++) {
+                    energy[row + x] += sign * kernel[ky + (x - px + size) % size];
+                }
+            }
+        };
+
+        // Tightest cluster = highest energy among ones, largest void = lowest among zeros
+        const tightestCluster = () => {
+            let best = -1, max = -Infinity;
+            for (let i = 0; i < n; i++) {
+                if (pattern[i] && energy[i] > max) { max = energy[i]; best = i; }
+            }
+            return best;
+        };
+        const largestVoid = () => {
+            let best = -1, min = Infinity;
+            for (let i = 0; i < n; i++) {
+                if (!pattern[i] && energy[i] < min) { min = energy[i]; best = i; }
+            }
+            return best;
+        };
+
+        // Initial binary pattern: ~10% random minority pixels
+        const random = new SeededRandom(0x5eed);
+        const initialOnes = Math.max(1, Math.floor(n / 10));
+        let ones = 0;
+        while (ones < initialOnes) {
+            const i = Math.floor(random.next() * n);
+            if (!pattern[i]) {
+                pattern[i] = 1;
+                splat(i, 1);
+                ones++;
+            }
+        }
+
+        // Relax: move points from tightest clusters into largest voids until stable
+        for (let guard = 0; guard < n; guard++) {
+            const cluster = tightestCluster();
+            pattern[cluster] = 0;
+            splat(cluster, -1);
+            const hole = largestVoid();
+            pattern[hole] = 1;
+            splat(hole, 1);
+            if (hole === cluster) break;
+        }
+
+        const ranks = new Array(n);
+        const prototype = Uint8Array.from(pattern);
+        const prototypeEnergy = Float32Array.from(energy);
+
+        // Phase 1: remove clustered points from the prototype, ranking downwards
+        for (let rank = ones - 1; rank >= 0; rank--) {
+            const cluster = tightestCluster();
+            pattern[cluster] = 0;
+            splat(cluster, -1);
+            ranks[cluster] = rank;
+        }
+
+        // Phase 2 + 3: fill the largest voids of the prototype, ranking upwards
+        pattern.set(prototype);
+        energy.set(prototypeEnergy);
+        for (let rank = ones; rank < n; rank++) {
+            const hole = largestVoid();
+            pattern[hole] = 1;
+            splat(hole, 1);
+            ranks[hole] = rank;
+        }
+
+        return this.fromRanks(ranks, size, size);
+    }
+
+    /**
+     * Custom map from an uploaded grayscale image
+     * Brightness order is kept, but thresholds are equalized so tones stay correct
+     */
+    static fromImageData(imageData) {
+        const { data, width, height } = imageData;
+        const values = new Array(width * height);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = ColorUtils.getLuminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+        }
+        return this.fromValues(values, width, height);
+    }
+
+    /**
+     * Build a map from arbitrary values - lowest value gets the lowest threshold
+     */
+    static fromValues(values, width, height) {
+        const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b] || a - b);
+        const ranks = new Array(values.length);
+        order.forEach((index, rank) => { ranks[index] = rank; });
+        return this.fromRanks(ranks, width, height);
+    }
+
+    /**
+     * Build a map from integer ranks 0..n-1 (threshold = rank / n)
+     */
+    static fromRanks(ranks, width, height) {
+        const n = width * height;
+        const data = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            data[i] = ranks[i] / n;
+        }
+        return { width, height, data };
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * ToneAdjust - Tonal pre-adjustment ahead of posterize / dithering
+ * Levels, gamma, brightness/contrast and a tone curve fold into one 256-entry LUT;
+ * saturation is applied per pixel around its luminance
+ */
+
+import { ColorUtils } from './ColorUtils.js';
+
+export class ToneAdjust {
+    // Neutral settings - the stage is skipped while everything is at these values
+    static DEFAULTS = {
+        toneBrightness: 0,       // -100..100
+        toneContrast: 0,         // -100..100
+        toneGamma: 1,            // 0.1..3, > 1 brightens midtones
+        toneSaturation: 0,       // -100..100
+        levelsInBlack: 0,
+        levelsInWhite: 255,
+        levelsOutBlack: 0,
+        levelsOutWhite: 255,
+        toneCurve: [[0, 0], [255, 255]] // [x, y] control points, x ascending
+    };
+
+    // Tone curve control point limit
+    static MAX_CURVE_POINTS = 16;
+
+    // Pixels sampled for the histogram
+    static HISTOGRAM_SAMPLES = 262144;
+
+    /**
+     * Whether the settings leave the image unchanged
+     */
+    static isIdentity(settings) {
+        return Object.entries(this.DEFAULTS).every(([key, value]) => {
+            const current = settings[key] ?? value;
+            return key === 'toneCurve' ? this.isIdentityCurve(current) : current === value;
+        });
+    }
+
+    static isIdentityCurve(points) {
+        return points.every(([x, y]) => x === y);
+    }
+
+    /**
+     * Adjust an image in place
+     */
+    static apply(imageData, settings) {
+        if (this.isIdentity(settings)) return imageData;
+
+        const { data } = imageData;
+        const lut = this.buildLut(settings);
+        const saturation = 1 + (settings.toneSaturation ?? 0) / 100;
+
+        for (let i = 0; i < data.length; i += 4) {
+            let r = lut[data[i]];
+            let g = lut[data[i + 1]];
+            let b = lut[data[i + 2]];
+
+            if (saturation !== 1) {
+                const lum = ColorUtils.getLuminance(r, g, b);
+                r = lum + (r - lum) * saturation;
+                g = lum + (g - lum) * saturation;
+                b = lum + (b - lum) * saturation;
+            }
+
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Channel LUT: input levels -> gamma -> output levels -> brightness -> contrast -> curve
+     */
+    static buildLut(settings) {
+        const s = { ...this.DEFAULTS, ...settings };
+        const inBlack = Math.min(s.levelsInBlack, 254);
+        const inWhite = Math.max(s.levelsInWhite, inBlack + 1);
+        const brightness = s.toneBrightness * 1.28;
+        const contrast = s.toneContrast * 2.55;
+        const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+        const curve = this.curveLut(s.toneCurve);
+
+        const lut = new Uint8ClampedArray(256);
+        for (let v = 0; v < 256; v++) {
+            let t = Math.max(0, Math.min(1, (v - inBlack) / (inWhite - inBlack)));
+            t = Math.pow(t, 1 / s.toneGamma);
+
+            let value = s.levelsOutBlack + t * (s.levelsOutWhite - s.levelsOutBlack);
+            value += brightness;
+            value = contrastFactor * (value - 128) + 128;
+
+            lut[v] = curve[ColorUtils.clamp(Math.round(value))];
+        }
+        return lut;
+    }
+
+    /**
+     * Tone curve through the control points as a 256-entry LUT
+     * Monotone cubic (Fritsch-Carlson) interpolation, so the curve never overshoots its points
+     */
+    static curveLut(points) {
+        const lut = new Uint8ClampedArray(256);
+        const n = points.length;
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+
+        // Secant slopes, then tangents limited to keep each segment monotone
+        const slopes = [];
+        for (let i = 0; i < n - 1; i++) {
+            slopes.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+        }
+        const tangents = new Array(n);
+        tangents[0] = slopes[0];
+        tangents[n - 1] = slopes[n - 2];
+        for (let i = 1; i < n - 1; i++) {
+            tangents[i] = slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+        }
+        for (let i = 0; i < n - 1; i++) {
+            if (slopes[i] === 0) {
+                tangents[i] = tangents[i + 1] = 0;
+                continue;
+            }
+            const a = tangents[i] / slopes[i];
+            const b = tangents[i + 1] / slopes[i];
+            const length = a * a + b * b;
+            if (length > 9) {
+                const scale = 3 / Math.sqrt(length);
+                tangents[i] = scale * a * slopes[i];
+                tangents[i + 1] = scale * b * slopes[i];
+            }
+        }
+
+        let segment = 0;
+        for (let x = 0; x < 256; x++) {
+            if (x <= xs[0]) {
+                lut[x] = ys[0];
+                continue;
+            }
+            if (x >= xs[n - 1]) {
+                lut[x] = ys[n - 1];
+                continue;
+            }
+            while (x > xs[segment + 1]) segment++;
+
+            // Cubic Hermite on the segment
+            const h = xs[segment + 1] - xs[segment];
+            const t = (x - xs[segment]) / h;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            lut[x] = Math.round(
+                (2 * t3 - 3 * t2 + 1) * ys[segment] +
+                (t3 - 2 * t2 + t) * h * tangents[segment] +
+                (-2 * t3 + 3 * t2) * ys[segment + 1] +
+                (t3 - t2) * h * tangents[segment + 1]
+            );
+        }
+        return lut;
+    }
+
+    /**
+     * Luminance histograms of an image before and after adjustment (sampled on big images)
+     * Returns { source, adjusted } - 256 bins each
+     */
+    static histogram(imageData, settings) {
+        const { data } = imageData;
+        const pixels = data.length / 4;
+        const step = Math.max(1, Math.floor(pixels / this.HISTOGRAM_SAMPLES));
+        const lut = this.buildLut(settings);
+
+        const source = new Uint32Array(256);
+        const adjusted = new Uint32Array(256);
+        for (let p = 0; p < pixels; p += step) {
+            const i = p * 4;
+            if (data[i + 3] === 0) continue;
+            source[ColorUtils.getLuminance(data[i], data[i + 1], data[i + 2])]++;
+            adjusted[ColorUtils.getLuminance(lut[data[i]], lut[data[i + 1]], lut[data[i + 2]])]++;
+        }
+        return { source, adjusted };
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * ZipWriter - Minimal ZIP archive builder (stored, no compression)
+ * Processed images are already compressed, so storing them is as small and much faster
+ */
+
+import { Checksum } from './Checksum.js';
+
+export class ZipWriter {
+    constructor() {
+        this.entries = [];
+        this.names = new Set();
+    }
+
+    /**
+     * Add a file (Uint8Array); duplicate names get a numbered suffix
+     * Returns the name actually used
+     */
+    addFile(name, data, date = new Date()) {
+        let unique = name;
+        for (let n = 2; this.names.has(unique); n++) {
+            unique = name.replace(/(\.[^.]*)?$/, `-${n}$1`);
+        }
+        this.names.add(unique);
+
+        this.entries.push({
+            name: new TextEncoder().encode(unique),
+            data,
+            crc: Checksum.crc32(data),
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        });
+        return unique;
+    }
+
+    /**
+     * Build the archive
+     */
+    toBlob() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);  // local file header signature
+            this.writeCommonFields(local, 4, entry);
+            parts.push(local.buffer, entry.name, entry.data);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true); // central directory signature
+            header.setUint16(4, 20, true);         // version made by
+            this.writeCommonFields(header, 6, entry);
+            header.setUint32(42, offset, true);    // local header offset
+            central.push(header.buffer, entry.name);
+
+            offset += 30 + entry.name.length + entry.data.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);        // end of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+    }
+
+    /**
+     * Fields shared by the local and central headers, starting at "version needed"
+     */
+    writeCommonFields(view, offset, entry) {
+        view.setUint16(offset, 20, true);               // version needed
+        view.setUint16(offset + 2, 0x0800, true);       // flags: UTF-8 file names
+        view.setUint16(offset + 4, 0, true);            // method: stored
+        view.setUint16(offset + 6, entry.time, true);
+        view.setUint16(offset + 8, entry.date, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true); // compressed size
+        view.setUint32(offset + 18, entry.data.length, true); // uncompressed size
+        view.setUint16(offset + 22, entry.name.length, true);
+    }
+}
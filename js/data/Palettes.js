@@ -0,0 +1,156 @@
+/**
+ * Palettes - Library of classic hardware palettes
+ * Colors only: applying one replaces the palette and leaves every other setting alone
+ */
+
+/**
+ * Every combination of the given channel levels (r outermost), as hex colors
+ */
+function colorCube(levels) {
+    const hex = levels.map(v => v.toString(16).padStart(2, '0'));
+    const colors = [];
+    for (const r of hex) {
+        for (const g of hex) {
+            for (const b of hex) {
+                colors.push(`#${r}${g}${b}`);
+            }
+        }
+    }
+    return colors;
+}
+
+// IBM RGBI palette shared by CGA text mode and the default EGA palette
+const RGBI = [
+    '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+    '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+];
+
+export const Palettes = {
+    '1bit': {
+        name: '1-bit',
+        system: 'Monokróm',
+        colors: ['#000000', '#ffffff']
+    },
+    'gameboy-dmg': {
+        name: 'Game Boy (DMG)',
+        system: 'Nintendo',
+        colors: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f']
+    },
+    'gameboy-pocket': {
+        // LCD shades as used by common emulators
+        name: 'Game Boy Pocket',
+        system: 'Nintendo',
+        colors: ['#1f1f1f', '#4d533c', '#8b956d', '#c4cfa1']
+    },
+    'cga-0-low': {
+        name: 'CGA 0 (sötét)',
+        system: 'IBM PC',
+        colors: ['#000000', '#00aa00', '#aa0000', '#aa5500']
+    },
+    'cga-0-high': {
+        name: 'CGA 0 (világos)',
+        system: 'IBM PC',
+        colors: ['#000000', '#55ff55', '#ff5555', '#ffff55']
+    },
+    'cga-1-low': {
+        name: 'CGA 1 (sötét)',
+        system: 'IBM PC',
+        colors: ['#000000', '#00aaaa', '#aa00aa', '#aaaaaa']
+    },
+    'cga-1-high': {
+        name: 'CGA 1 (világos)',
+        system: 'IBM PC',
+        colors: ['#000000', '#55ffff', '#ff55ff', '#ffffff']
+    },
+    'cga-mode5': {
+        name: 'CGA 5. mód',
+        system: 'IBM PC',
+        colors: ['#000000', '#55ffff', '#ff5555', '#ffffff']
+    },
+    'cga-16': {
+        // Also the default EGA palette (see ega-64 for the full range)
+        name: 'CGA / EGA 16 (RGBI)',
+        system: 'IBM PC',
+        colors: [...RGBI]
+    },
+    'ega-64': {
+        name: 'EGA (teljes 64)',
+        system: 'IBM PC',
+        colors: colorCube([0x00, 0x55, 0xaa, 0xff])
+    },
+    c64: {
+        // Pepto's measured PAL palette
+        name: 'Commodore 64',
+        system: 'Commodore',
+        colors: [
+            '#000000', '#ffffff', '#68372b', '#70a4b2', '#6f3d86', '#588d43', '#352879', '#b8c76f',
+            '#6f4f25', '#433900', '#9a6759', '#444444', '#6c6c6c', '#9ad284', '#6c5eb5', '#959595'
+        ]
+    },
+    'zx-spectrum': {
+        // Normal + bright set (bright black is still black)
+        name: 'ZX Spectrum',
+        system: 'Sinclair',
+        colors: [
+            '#000000', '#0000d7', '#d70000', '#d700d7', '#00d700', '#00d7d7', '#d7d700', '#d7d7d7',
+            '#0000ff', '#ff0000', '#ff00ff', '#00ff00', '#00ffff', '#ffff00', '#ffffff'
+        ]
+    },
+    nes: {
+        // 2C02 PPU palette, duplicate blacks removed
+        name: 'NES',
+        system: 'Nintendo',
+        colors: [
+            '#7c7c7c', '#0000fc', '#0000bc', '#4428bc', '#940084', '#a80020', '#a81000', '#881400',
+            '#503000', '#007800', '#006800', '#005800', '#004058', '#000000',
+            '#bcbcbc', '#0078f8', '#0058f8', '#6844fc', '#d800cc', '#e40058', '#f83800', '#e45c10',
+            '#ac7c00', '#00b800', '#00a800', '#00a844', '#008888',
+            '#f8f8f8', '#3cbcfc', '#6888fc', '#9878f8', '#f878f8', '#f85898', '#f87858', '#fca044',
+            '#f8b800', '#b8f818', '#58d854', '#58f898', '#00e8d8', '#787878',
+            '#fcfcfc', '#a4e4fc', '#b8b8f8', '#d8b8f8', '#f8b8f8', '#f8a4c0', '#f0d0b0', '#fce0a8',
+            '#f8d878', '#d8f878', '#b8f8b8', '#b8f8d8', '#00fcfc', '#f8d8f8'
+        ]
+    },
+    'apple-2': {
+        // Lo-res NTSC colors (the two identical grays merged)
+        name: 'Apple II',
+        system: 'Apple',
+        colors: [
+            '#000000', '#722640', '#40337f', '#e434fe', '#0e5940', '#808080', '#1b9afe', '#bfb3ff',
+            '#404c00', '#e46501', '#f1a6bf', '#1bcb01', '#bfcc80', '#8dd9bf', '#ffffff'
+        ]
+    },
+    msx: {
+        // TMS9918 video chip (transparent entry left out)
+        name: 'MSX',
+        system: 'MSX',
+        colors: [
+            '#000000', '#3eb849', '#74d07d', '#5955e0', '#8076f1', '#b95e51', '#65dbef', '#db6559',
+            '#ff897d', '#ccc35e', '#ded087', '#3aa241', '#b766b5', '#cccccc', '#ffffff'
+        ]
+    },
+    pico8: {
+        name: 'PICO-8',
+        system: 'Fantasy console',
+        colors: [
+            '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+            '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+        ]
+    },
+    'mac-16': {
+        // Classic Mac OS system palette
+        name: 'Mac 16',
+        system: 'Apple',
+        colors: [
+            '#ffffff', '#fbf305', '#ff6403', '#dd0907', '#f20884', '#4700a5', '#0000d3', '#02abea',
+            '#1fb714', '#006412', '#562c05', '#90713a', '#c0c0c0', '#808080', '#404040', '#000000'
+        ]
+    },
+    'web-safe': {
+        name: 'Web-safe 216',
+        system: 'Web',
+        colors: colorCube([0x00, 0x33, 0x66, 0x99, 0xcc, 0xff])
+    }
+};
+
+export default Palettes;
@@ -0,0 +1,175 @@
+/**
+ * PresetSchema - The settings a preset may carry, plus the shareable JSON file format
+ * Shared by StateManager.applyPreset, preset saving and preset import
+ */
+
+import { ColorUtils } from '../core/ColorUtils.js';
+import { DiffusionKernels } from '../core/DiffusionKernels.js';
+import { SeededRandom } from '../core/SeededRandom.js';
+import { ThresholdMaps } from '../core/ThresholdMaps.js';
+import { ToneAdjust } from '../core/ToneAdjust.js';
+
+export class PresetValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PresetValidationError';
+    }
+}
+
+export class PresetSchema {
+    // File format marker and version of exported preset files
+    static FORMAT = 'picfixer-presets';
+    static VERSION = 1;
+
+    // Preset keys that are not settings
+    static META_KEYS = ['name', 'colors', 'timestamp'];
+
+    // Settings a preset may set: type + allowed values or range
+    static SETTINGS = {
+        toneBrightness: { type: 'number', min: -100, max: 100 },
+        toneContrast: { type: 'number', min: -100, max: 100 },
+        toneGamma: { type: 'number', min: 0.1, max: 3 },
+        toneSaturation: { type: 'number', min: -100, max: 100 },
+        levelsInBlack: { type: 'number', min: 0, max: 255 },
+        levelsInWhite: { type: 'number', min: 0, max: 255 },
+        levelsOutBlack: { type: 'number', min: 0, max: 255 },
+        levelsOutWhite: { type: 'number', min: 0, max: 255 },
+        toneCurve: { type: 'curve', maxPoints: ToneAdjust.MAX_CURVE_POINTS },
+        ditherType: { type: 'enum', values: ['none', 'ordered', ...Object.keys(DiffusionKernels)] },
+        ditherStrength: { type: 'number', min: 0, max: 100 },
+        ditherSerpentine: { type: 'boolean' },
+        ditherErrorAttenuation: { type: 'number', min: 0, max: 100 },
+        ditherLinear: { type: 'boolean' },
+        colorMetric: { type: 'enum', values: ColorUtils.METRICS },
+        orderedMatrixSize: { type: 'number', min: 2, max: 8 },
+        orderedMode: { type: 'enum', values: ['luminance', 'pattern'] },
+        orderedMatrix: { type: 'enum', values: ThresholdMaps.TYPES },
+        pixelScale: { type: 'number', min: 0.1, max: 20 },
+        posterizeEnabled: { type: 'boolean' },
+        posterizeLevels: { type: 'number', min: 2, max: 16 },
+        posterizeMode: { type: 'enum', values: ['luminance', 'per-channel', 'artistic'] },
+        posterizeUsePalette: { type: 'boolean' },
+        alphaMode: { type: 'enum', values: ['preserve', 'threshold', 'dither', 'flatten'] },
+        alphaThreshold: { type: 'number', min: 1, max: 255 },
+        alphaBackground: { type: 'number', min: 0, max: 255 },
+        blobEnabled: { type: 'boolean' },
+        blobIntensity: { type: 'number', min: 0, max: 100 },
+        blobDensity: { type: 'number', min: 0, max: 50 },
+        blobSizeMin: { type: 'number', min: 1, max: 400 },
+        blobSizeMax: { type: 'number', min: 1, max: 400 },
+        blobSoftness: { type: 'number', min: 0, max: 100 },
+        blobBlendMode: {
+            type: 'enum',
+            values: ['overlay', 'soft-light', 'hard-light', 'multiply', 'screen', 'color-dodge',
+                'color-burn', 'difference', 'exclusion', 'lighten', 'darken']
+        },
+        noiseEnabled: { type: 'boolean' },
+        noiseAmount: { type: 'number', min: 0, max: 100 },
+        seed: { type: 'number', min: 0, max: SeededRandom.MAX_SEED },
+        originalBlend: { type: 'number', min: 0, max: 100 }
+    };
+
+    /**
+     * Settings part of a preset (only the keys the preset defines)
+     */
+    static pickSettings(preset) {
+        const settings = {};
+        for (const key of Object.keys(this.SETTINGS)) {
+            if (preset[key] !== undefined) settings[key] = preset[key];
+        }
+        return settings;
+    }
+
+    /**
+     * Snapshot of the current palette and settings as a preset
+     */
+    static fromState(name, state) {
+        const preset = { name, colors: [...state.colors] };
+        for (const key of Object.keys(this.SETTINGS)) {
+            preset[key] = state.settings[key];
+        }
+        preset.timestamp = Date.now();
+        return preset;
+    }
+
+    /**
+     * Validate one preset, throws PresetValidationError with a readable message
+     */
+    static validate(preset, index = 0) {
+        const label = typeof preset?.name === 'string' ? `"${preset.name}"` : `#${index + 1}`;
+
+        if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+            throw new PresetValidationError(`A(z) ${label} preset nem objektum.`);
+        }
+        if (typeof preset.name !== 'string' || !preset.name.trim()) {
+            throw new PresetValidationError(`A(z) ${label} presetnek nincs neve.`);
+        }
+        if (!Array.isArray(preset.colors) || preset.colors.length < 2 ||
+            !preset.colors.every(c => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c))) {
+            throw new PresetValidationError(`A(z) ${label} preset színei hibásak (legalább 2 #rrggbb szín kell).`);
+        }
+
+        for (const [key, value] of Object.entries(preset)) {
+            if (this.META_KEYS.includes(key)) continue;
+
+            const rule = this.SETTINGS[key];
+            if (!rule) {
+                throw new PresetValidationError(`Ismeretlen beállítás a(z) ${label} presetben: "${key}".`);
+            }
+
+            const valid = rule.type === 'boolean' ? typeof value === 'boolean'
+                : rule.type === 'enum' ? rule.values.includes(value)
+                : rule.type === 'curve' ? this.isCurve(value, rule.maxPoints)
+                : typeof value === 'number' && value >= rule.min && value <= rule.max;
+            if (!valid) {
+                throw new PresetValidationError(
+                    `Érvénytelen érték a(z) ${label} presetben: ${key} = ${JSON.stringify(value)}.`);
+            }
+        }
+        return preset;
+    }
+
+    /**
+     * Tone curve: 2..maxPoints [x, y] points in 0-255 with strictly increasing x
+     */
+    static isCurve(points, maxPoints) {
+        return Array.isArray(points) && points.length >= 2 && points.length <= maxPoints &&
+            points.every((point, i) =>
+                Array.isArray(point) && point.length === 2 &&
+                point.every(v => typeof v === 'number' && v >= 0 && v <= 255) &&
+                (i === 0 || point[0] > points[i - 1][0]));
+    }
+
+    /**
+     * Versioned file contents for a list of presets
+     */
+    static toFile(presets) {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exported: new Date().toISOString(),
+            presets
+        };
+    }
+
+    /**
+     * Parse and validate a preset file - returns the presets
+     */
+    static parseFile(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch {
+            throw new PresetValidationError('A fájl nem érvényes JSON.');
+        }
+
+        if (file?.format !== this.FORMAT || !Array.isArray(file.presets)) {
+            throw new PresetValidationError('A fájl nem PicFixer preset export.');
+        }
+        if (typeof file.version !== 'number' || file.version > this.VERSION) {
+            throw new PresetValidationError(`Nem támogatott preset fájl verzió: ${file.version}.`);
+        }
+
+        return file.presets.map((preset, index) => this.validate(preset, index));
+    }
+}
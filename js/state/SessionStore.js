@@ -0,0 +1,74 @@
+/**
+ * SessionStore - Working session persisted in IndexedDB
+ * Keeps the palette, settings and source image blob across page reloads
+ */
+
+export class SessionStore {
+    static DB_NAME = 'picfixer';
+    static DB_VERSION = 1;
+    static STORE = 'session';
+
+    // Record keys inside the store
+    static STATE_KEY = 'state';
+    static IMAGE_KEY = 'image';
+
+    static dbPromise = null;
+
+    /**
+     * Open (and create on first use) the database
+     */
+    static open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the store and resolve with its result
+     */
+    static async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE, mode);
+            const request = operation(transaction.objectStore(this.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save palette + settings ({ colors, settings })
+     */
+    static saveState(state) {
+        return this.request('readwrite', store => store.put(state, this.STATE_KEY));
+    }
+
+    /**
+     * Save the source image (File or Blob)
+     */
+    static saveImage(blob) {
+        return this.request('readwrite', store => store.put(blob, this.IMAGE_KEY));
+    }
+
+    /**
+     * Load the saved session - resolves to { state, image } (either may be undefined)
+     */
+    static async load() {
+        const state = await this.request('readonly', store => store.get(this.STATE_KEY));
+        const image = await this.request('readonly', store => store.get(this.IMAGE_KEY));
+        return { state, image };
+    }
+
+    /**
+     * Forget the saved session
+     */
+    static clear() {
+        return this.request('readwrite', store => store.clear());
+    }
+}
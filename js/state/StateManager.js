@@ -3,7 +3,19 @@
  * Handles settings, current state, and subscribers
  */
 
+import { SeededRandom } from '../core/SeededRandom.js';
+import { ToneAdjust } from '../core/ToneAdjust.js';
+import { PresetSchema } from './PresetSchema.js';
+
 export class StateManager {
+    // Palette size limits
+    static MIN_COLORS = 2;
+    static MAX_COLORS = 256;
+
+    // Undo history: max entries, and how close same-control changes must be to merge (ms)
+    static HISTORY_LIMIT = 100;
+    static HISTORY_COALESCE_MS = 750;
+
     constructor() {
         this.state = {
             // Image state
@@ -13,16 +25,29 @@ export class StateManager {
             // Color palette
             colors: ['#0a0a0a', '#f5f5f5'],
             
+            // Uploaded threshold map for ordered dithering (not part of presets)
+            customThresholdMap: null,
+            
             // Processing settings
             settings: {
+                ...ToneAdjust.DEFAULTS,      // Tonal pre-adjustment (levels, curve, ...)
                 ditherType: 'floyd-steinberg',
                 ditherStrength: 100,
+                ditherSerpentine: false,     // Alternate scan direction per row
+                ditherErrorAttenuation: 100, // % of quantization error diffused
+                ditherLinear: false,     // Diffuse error in linear light (gamma-correct)
+                colorMetric: 'weighted',     // Palette matching metric (see ColorUtils.METRICS)
                 orderedMatrixSize: 4,
+                orderedMode: 'luminance',    // 'luminance' or 'pattern' (palette-aware)
+                orderedMatrix: 'bayer',      // Threshold map: bayer, blue-noise, halftone, custom
                 pixelScale: 1.0,
                 posterizeEnabled: false,
                 posterizeLevels: 4,
                 posterizeMode: 'luminance',
                 posterizeUsePalette: true,
+                alphaMode: 'preserve',   // preserve | threshold | dither | flatten
+                alphaThreshold: 128,
+                alphaBackground: 0,      // Palette index used by flatten
                 blobEnabled: true,
                 blobIntensity: 30,
                 blobDensity: 15,         // Number of blobs (not percentage)
@@ -32,6 +57,7 @@ export class StateManager {
                 blobBlendMode: 'overlay', // Photoshop blend mode
                 noiseEnabled: false,
                 noiseAmount: 10,
+                seed: SeededRandom.generateSeed(), // Drives blob layout and grain
                 originalBlend: 0
             },
             
@@ -42,6 +68,9 @@ export class StateManager {
         };
         
         this.subscribers = new Set();
+        
+        // Undo / redo stacks of { colors, settings, activePreset } snapshots
+        this.history = { past: [], future: [], group: null, time: 0 };
     }
 
     /**
@@ -73,10 +102,19 @@ export class StateManager {
      * Update nested settings
      */
     updateSettings(settingUpdates) {
+        this.recordHistory('settings:' + Object.keys(settingUpdates).sort().join());
         this.state.settings = { ...this.state.settings, ...settingUpdates };
         this.notify('settings');
     }
 
+    /**
+     * Pick a new random seed (new blob layout and grain)
+     */
+    rerollSeed() {
+        this.updateSettings({ seed: SeededRandom.generateSeed() });
+        return this.state.settings.seed;
+    }
+
     /**
      * Get current state
      */
@@ -90,6 +128,7 @@ export class StateManager {
     getProcessingSettings() {
         return {
             colors: this.state.colors,
+            customThresholdMap: this.state.customThresholdMap,
             ...this.state.settings
         };
     }
@@ -98,15 +137,25 @@ export class StateManager {
      * Set colors
      */
     setColors(colors) {
+        this.recordHistory();
         this.state.colors = colors;
         this.notify('colors');
     }
 
+    /**
+     * Set the custom threshold map ({ width, height, data })
+     */
+    setCustomThresholdMap(map) {
+        this.state.customThresholdMap = map;
+        this.notify('customThresholdMap');
+    }
+
     /**
      * Add a color
      */
     addColor(color = '#808080') {
-        if (this.state.colors.length < 5) {
+        if (this.state.colors.length < StateManager.MAX_COLORS) {
+            this.recordHistory();
             const colors = [...this.state.colors];
             colors.splice(colors.length - 1, 0, color);
             this.state.colors = colors;
@@ -120,7 +169,8 @@ export class StateManager {
      * Remove a color by index
      */
     removeColor(index) {
-        if (this.state.colors.length > 2) {
+        if (this.state.colors.length > StateManager.MIN_COLORS) {
+            this.recordHistory();
             const colors = [...this.state.colors];
             colors.splice(index, 1);
             this.state.colors = colors;
@@ -130,10 +180,25 @@ export class StateManager {
         return false;
     }
 
+    /**
+     * Move a color to a new position (drag reorder)
+     */
+    moveColor(from, to) {
+        const colors = [...this.state.colors];
+        if (from === to || !colors[from] || to < 0 || to >= colors.length) return false;
+        this.recordHistory();
+        const [color] = colors.splice(from, 1);
+        colors.splice(to, 0, color);
+        this.state.colors = colors;
+        this.notify('colors');
+        return true;
+    }
+
     /**
      * Update a color at index
      */
     updateColor(index, color) {
+        this.recordHistory('color:' + index);
         const colors = [...this.state.colors];
         colors[index] = color;
         this.state.colors = colors;
@@ -144,40 +209,105 @@ export class StateManager {
      * Apply a preset
      */
     applyPreset(preset, presetKey) {
+        this.recordHistory();
         if (preset.colors) {
             this.state.colors = [...preset.colors];
         }
         
-        const settingsToApply = {};
+        // Only the keys the preset defines (see PresetSchema.SETTINGS)
+        const settingsToApply = PresetSchema.pickSettings(preset);
         
-        // Dithering
-        if (preset.ditherType !== undefined) settingsToApply.ditherType = preset.ditherType;
-        if (preset.ditherStrength !== undefined) settingsToApply.ditherStrength = preset.ditherStrength;
-        if (preset.pixelScale !== undefined) settingsToApply.pixelScale = preset.pixelScale;
-        if (preset.orderedMatrixSize !== undefined) settingsToApply.orderedMatrixSize = preset.orderedMatrixSize;
+        this.state.settings = { ...this.state.settings, ...settingsToApply };
+        this.state.activePreset = presetKey;
         
-        // Posterization
-        if (preset.posterizeEnabled !== undefined) settingsToApply.posterizeEnabled = preset.posterizeEnabled;
-        if (preset.posterizeLevels !== undefined) settingsToApply.posterizeLevels = preset.posterizeLevels;
-        if (preset.posterizeMode !== undefined) settingsToApply.posterizeMode = preset.posterizeMode;
+        this.notify('preset');
+    }
+
+    /**
+     * Switch the result view ('processed' or a compare layout) - UI only, no history entry
+     */
+    setView(view) {
+        this.setState({ currentView: view }, 'view');
+    }
+
+    /**
+     * Snapshot of the undoable state (colors and settings are never mutated in place)
+     */
+    createSnapshot() {
+        return {
+            colors: this.state.colors,
+            settings: this.state.settings,
+            activePreset: this.state.activePreset
+        };
+    }
+
+    /**
+     * Push the current state before a change
+     * Repeated changes of the same group (e.g. one slider drag) merge into one entry
+     * until endHistoryGroup closes it - discrete controls close it after every change
+     */
+    recordHistory(group = null) {
+        const history = this.history;
+        const now = Date.now();
+        const merge = group !== null && group === history.group &&
+            now - history.time < StateManager.HISTORY_COALESCE_MS;
         
-        // Blobs
-        if (preset.blobEnabled !== undefined) settingsToApply.blobEnabled = preset.blobEnabled;
-        if (preset.blobIntensity !== undefined) settingsToApply.blobIntensity = preset.blobIntensity;
-        if (preset.blobDensity !== undefined) settingsToApply.blobDensity = preset.blobDensity;
-        if (preset.blobSizeMin !== undefined) settingsToApply.blobSizeMin = preset.blobSizeMin;
-        if (preset.blobSizeMax !== undefined) settingsToApply.blobSizeMax = preset.blobSizeMax;
-        if (preset.blobSoftness !== undefined) settingsToApply.blobSoftness = preset.blobSoftness;
-        if (preset.blobBlendMode !== undefined) settingsToApply.blobBlendMode = preset.blobBlendMode;
+        history.group = group;
+        history.time = now;
+        if (merge) return;
         
-        // Noise
-        if (preset.noiseEnabled !== undefined) settingsToApply.noiseEnabled = preset.noiseEnabled;
-        if (preset.noiseAmount !== undefined) settingsToApply.noiseAmount = preset.noiseAmount;
+        history.past.push(this.createSnapshot());
+        if (history.past.length > StateManager.HISTORY_LIMIT) history.past.shift();
+        history.future = [];
+    }
+
+    /**
+     * Close the current merge group (slider released, color confirmed...)
+     */
+    endHistoryGroup() {
+        this.history.group = null;
+    }
+
+    canUndo() {
+        return this.history.past.length > 0;
+    }
+
+    canRedo() {
+        return this.history.future.length > 0;
+    }
+
+    undo() {
+        return this.stepHistory(this.history.past, this.history.future);
+    }
+
+    redo() {
+        return this.stepHistory(this.history.future, this.history.past);
+    }
+
+    /**
+     * Move one snapshot from `from` to the current state, saving the current state on `to`
+     */
+    stepHistory(from, to) {
+        if (from.length === 0) return false;
         
-        this.state.settings = { ...this.state.settings, ...settingsToApply };
-        this.state.activePreset = presetKey;
+        to.push(this.createSnapshot());
+        const snapshot = from.pop();
+        this.state.colors = snapshot.colors;
+        this.state.settings = snapshot.settings;
+        this.state.activePreset = snapshot.activePreset;
+        this.endHistoryGroup();
         
-        this.notify('preset');
+        this.notify('history');
+        return true;
+    }
+
+    /**
+     * Restore a saved session - replaces palette and settings without a history entry
+     */
+    restoreSession(colors, settings) {
+        this.state.colors = [...colors];
+        this.state.settings = { ...this.state.settings, ...settings };
+        this.notify('restore');
     }
 
     /**
@@ -0,0 +1,83 @@
+/**
+ * UrlState - Palette + processing settings packed into a shareable URL hash
+ * JSON, deflated with CompressionStream when available, then base64url encoded
+ */
+
+import { PresetSchema } from './PresetSchema.js';
+
+export class UrlState {
+    // Hash parameter name and payload version
+    static PARAM = 's';
+    static VERSION = 1;
+
+    // First payload character: 'z' = deflate-raw compressed, 'j' = plain JSON
+    static COMPRESSED = 'z';
+    static PLAIN = 'j';
+
+    /**
+     * Encode colors + settings into a hash string ("s=...", without the leading #)
+     * Uploaded threshold maps are not included - they would not fit in a URL
+     */
+    static async encode(colors, settings) {
+        const json = JSON.stringify({
+            v: this.VERSION,
+            c: colors.map(c => c.slice(1).toLowerCase()).join(''),
+            s: PresetSchema.pickSettings(settings)
+        });
+
+        let payload;
+        if (typeof CompressionStream !== 'undefined') {
+            payload = this.COMPRESSED + this.toBase64Url(await this.transform(json, new CompressionStream('deflate-raw')));
+        } else {
+            payload = this.PLAIN + this.toBase64Url(new TextEncoder().encode(json));
+        }
+        return `${this.PARAM}=${payload}`;
+    }
+
+    /**
+     * Decode a location hash - resolves to a preset-like { name, colors, ...settings } or null
+     * Throws PresetValidationError when the payload carries invalid settings
+     */
+    static async decode(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const payload = params.get(this.PARAM);
+        if (!payload) return null;
+
+        const bytes = this.fromBase64Url(payload.slice(1));
+        const json = payload[0] === this.COMPRESSED
+            ? new TextDecoder().decode(await this.transform(bytes, new DecompressionStream('deflate-raw')))
+            : new TextDecoder().decode(bytes);
+
+        const data = JSON.parse(json);
+        if (data.v > this.VERSION || typeof data.c !== 'string') return null;
+
+        const preset = {
+            name: 'URL',
+            colors: data.c.match(/[0-9a-f]{6}/gi)?.map(c => '#' + c) || [],
+            ...data.s
+        };
+        return PresetSchema.validate(preset);
+    }
+
+    /**
+     * Pipe a string or bytes through a (de)compression stream
+     */
+    static async transform(input, stream) {
+        const source = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+        const response = new Response(new Blob([source]).stream().pipeThrough(stream));
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+}
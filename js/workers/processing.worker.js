@@ -0,0 +1,71 @@
+/**
+ * Processing Worker - Runs the pixel pipeline off the main thread
+ * Messages in:  load { imageData }, process { jobId, settings, size, slot }, cancel { jobId }
+ * Messages out: result { jobId, imageData }, cancelled { jobId }, error { jobId, message }
+ */
+
+import { CanvasUtils } from '../core/CanvasUtils.js';
+import { ProcessingPipeline, ProcessingCancelledError } from '../core/ProcessingPipeline.js';
+
+let source = null;
+// Latest job per slot ('live' renders, 'export' renders) - a newer job only supersedes its own slot
+const activeJobs = {};
+
+/**
+ * Let queued messages (newer jobs, cancels) run before continuing
+ */
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+async function processJob(jobId, settings, size, slot = 'live') {
+    activeJobs[slot] = jobId;
+
+    // Bail out between steps as soon as a newer job or a cancel arrives
+    const checkpoint = async () => {
+        await yieldToEventLoop();
+        if (activeJobs[slot] !== jobId) throw new ProcessingCancelledError(jobId);
+    };
+
+    try {
+        if (!source) throw new Error('No image loaded');
+
+        await checkpoint();
+        const imageData = await ProcessingPipeline.run(source, settings, {
+            checkpoint,
+            outputWidth: size.width,
+            outputHeight: size.height
+        });
+        if (activeJobs[slot] !== jobId) throw new ProcessingCancelledError(jobId);
+
+        delete activeJobs[slot];
+        self.postMessage({ type: 'result', jobId, imageData }, [imageData.data.buffer]);
+    } catch (err) {
+        if (err instanceof ProcessingCancelledError) {
+            self.postMessage({ type: 'cancelled', jobId });
+        } else {
+            if (activeJobs[slot] === jobId) delete activeJobs[slot];
+            self.postMessage({ type: 'error', jobId, message: err.message });
+        }
+    }
+}
+
+self.addEventListener('message', (e) => {
+    const { type } = e.data;
+
+    switch (type) {
+        case 'load':
+            for (const slot of Object.keys(activeJobs)) delete activeJobs[slot];
+            source = {
+                imageData: e.data.imageData,
+                canvas: CanvasUtils.fromImageData(e.data.imageData)
+            };
+            break;
+        case 'process':
+            processJob(e.data.jobId, e.data.settings, e.data.size, e.data.slot);
+            break;
+        case 'cancel':
+            for (const [slot, jobId] of Object.entries(activeJobs)) {
+                if (jobId === e.data.jobId) delete activeJobs[slot];
+            }
+            break;
+    }
+});